@@ -0,0 +1,144 @@
+/**
+ * Backtest Runner
+ *
+ * Runs backtests, comparisons, optimizations, Monte Carlo and significance tests off the UI's critical path:
+ * - In a dedicated Web Worker (js/backtest-worker.js) when the browser has one
+ * - Otherwise on the main thread in short slices, yielding between them; also when
+ *   the worker fails to load, but not when a job fails inside it
+ *
+ * Either way a job reports progress (per day, backtest or simulation), can be
+ * cancelled, and resolves with the result so far when it is. Each job is a
+ * stepper from the engines (Backtester.createRun and friends); in Node the
+ * plain Backtester.run() API steps them to completion.
+ */
+
+const BacktestRunner = (() => {
+
+  // Job name -> stepper { step(), getResult(), progress }
+  const JOBS = {
+    backtest: config => Backtester.createRun(config),
+    portfolio: config => Portfolio.createRun(config),
+    compare: (config, names, paramsByStrategy) => Backtester.createComparison(config, names, paramsByStrategy),
+    optimize: config => Optimizer.createRun(config),
+    monteCarlo: (trades, startingCapital, numSimulations, options) => Backtester.createMonteCarlo(trades, startingCapital, numSimulations, options),
+    significance: (config, options) => Significance.createTest(config, options),
+  };
+
+  // Step a job in slices of about sliceMs, yielding between slices so progress can be
+  // shown and a cancel can arrive. Resolves with { result, cancelled }.
+  function drive(stepper, { onProgress, isCancelled = () => false, sliceMs = 50 } = {}) {
+    return new Promise((resolve, reject) => {
+      const slice = () => {
+        try {
+          if (isCancelled()) {
+            resolve({ result: stepper.getResult(), cancelled: true });
+            return;
+          }
+          const until = Date.now() + sliceMs;
+          let more = true;
+          while (more && Date.now() < until) more = stepper.step();
+          if (onProgress) onProgress(stepper.progress);
+          if (more) setTimeout(slice, 0);
+          else resolve({ result: stepper.getResult(), cancelled: false });
+        } catch (err) {
+          reject(err);
+        }
+      };
+      slice();
+    });
+  }
+
+  // A runner for the page. run(job, args, { onProgress }) returns { promise, cancel };
+  // the promise resolves with { result, cancelled }.
+  function create({ workerUrl = 'js/backtest-worker.js' } = {}) {
+    let worker = null;
+    try {
+      if (typeof Worker !== 'undefined') worker = new Worker(workerUrl);
+    } catch (err) {
+      worker = null; // file:// pages and some sandboxes refuse workers
+    }
+    const pending = {};
+    let nextId = 1;
+
+    // A job on the main thread, in slices
+    const runHere = entry => drive(JOBS[entry.job](...entry.args), {
+      onProgress: entry.onProgress,
+      isCancelled: () => entry.cancelled,
+    });
+
+    if (worker) {
+      // Set once the worker has loaded its scripts
+      let ready = false;
+      worker.onmessage = ({ data }) => {
+        if (data.type === 'ready') {
+          ready = true;
+          return;
+        }
+        const entry = pending[data.id];
+        if (!entry) return;
+        if (data.type === 'progress') {
+          if (entry.onProgress) entry.onProgress(data.progress);
+          return;
+        }
+        delete pending[data.id];
+        if (data.type === 'error') entry.reject(new Error(data.message));
+        else entry.resolve({ result: data.result, cancelled: data.cancelled });
+      };
+      // A worker that fails to load hands its jobs, and later ones, to the main thread.
+      // Once loaded, jobs report their own errors; anything else uncaught fails the jobs in flight
+      worker.onerror = event => {
+        if (event.preventDefault) event.preventDefault();
+        if (ready) {
+          const error = new Error(event.message || 'Backtest worker error');
+          for (const [id, entry] of Object.entries(pending)) {
+            delete pending[id];
+            entry.reject(error);
+          }
+          return;
+        }
+        worker.terminate();
+        worker = null;
+        for (const [id, entry] of Object.entries(pending)) {
+          delete pending[id];
+          runHere(entry).then(entry.resolve, entry.reject);
+        }
+      };
+    }
+
+    function run(job, args = [], { onProgress } = {}) {
+      if (!JOBS[job]) throw new Error(`Unknown backtest job '${job}'`);
+      const entry = { job, args, onProgress, cancelled: false };
+
+      if (!worker) {
+        const promise = new Promise(resolve => setTimeout(resolve, 0)).then(() => runHere(entry));
+        return { promise, cancel: () => { entry.cancelled = true; } };
+      }
+
+      const id = nextId++;
+      const promise = new Promise((resolve, reject) => Object.assign(entry, { resolve, reject }));
+      pending[id] = entry;
+      worker.postMessage({ id, job, args });
+      return {
+        promise,
+        cancel: () => {
+          entry.cancelled = true;
+          if (worker && pending[id]) worker.postMessage({ id, cancel: true });
+        },
+      };
+    }
+
+    return {
+      run,
+      terminate: () => worker && worker.terminate(),
+      get usesWorker() { return worker !== null; },
+    };
+  }
+
+  return {
+    JOBS,
+    drive,
+    create,
+  };
+})();
+
+if (typeof module !== 'undefined') module.exports = BacktestRunner;
@@ -0,0 +1,63 @@
+/**
+ * Backtest Worker
+ *
+ * Web Worker entry for BacktestRunner: loads the engines and steps one job at a time.
+ *
+ * In:  { id, job, args }  start a BacktestRunner.JOBS job
+ *      { id, cancel: true } stop it and reply with the result so far
+ * Out: { type: 'ready' } once the engines have loaded
+ *      { id, type: 'progress', progress: { done, total, unit } }
+ *      { id, type: 'done', result, cancelled }
+ *      { id, type: 'error', message }
+ */
+
+importScripts(
+  'market-data.js',
+  'confirmation-filters.js',
+  'risk-manager.js',
+  'short-sale.js',
+  'transaction-costs.js',
+  'benchmark.js',
+  'trade-analytics.js',
+  'orb-strategy.js',
+  'strategy-config.js',
+  'strategies.js',
+  'options-model.js',
+  'backtester.js',
+  'optimizer.js',
+  'portfolio.js',
+  'significance.js',
+  'sentiment.js',
+  'backtest-runner.js'
+);
+
+const cancelled = new Set();
+
+self.postMessage({ type: 'ready' });
+
+self.onmessage = ({ data }) => {
+  const { id, job, args = [], cancel } = data;
+  if (cancel) {
+    cancelled.add(id);
+    return;
+  }
+
+  let stepper;
+  try {
+    stepper = BacktestRunner.JOBS[job](...args);
+  } catch (err) {
+    self.postMessage({ id, type: 'error', message: err.message });
+    return;
+  }
+
+  BacktestRunner.drive(stepper, {
+    onProgress: progress => self.postMessage({ id, type: 'progress', progress }),
+    isCancelled: () => cancelled.has(id),
+  }).then(({ result, cancelled: wasCancelled }) => {
+    cancelled.delete(id);
+    self.postMessage({ id, type: 'done', result, cancelled: wasCancelled });
+  }).catch(err => {
+    cancelled.delete(id);
+    self.postMessage({ id, type: 'error', message: err.message });
+  });
+};
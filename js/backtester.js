@@ -1,12 +1,24 @@
 /**
  * Backtesting Engine
  *
- * Runs the ORB strategy across multiple days of historical data
+ * Runs the ORB strategy (or another registered Strategies plugin) across multiple days of historical data
  * and computes comprehensive performance metrics:
  * - Win rate, profit factor, expectancy
- * - Max drawdown, Sharpe ratio, Sortino ratio
+ * - Max drawdown, Sharpe, Sortino and Calmar ratios, Ulcer index and tail ratio
  * - Equity curve, trade distribution
- * - Monte Carlo simulation for confidence intervals
+ * - Monte Carlo simulation: trade or day-block resampling, compounding, skipped trades, risk of ruin
+ * - What-if results for breakouts the strategy rejected
+ * - Overnight holds: positions carried into the next session, with gap P&L
+ * - Risk rules (daily loss, losing streak, drawdown, equity curve) with a log of each firing
+ * - Account rules: pattern-day-trader limit for margin accounts, T+1 settled cash for cash accounts
+ * - Optional options version of the same signals, for a stock vs options comparison
+ * - Side-by-side comparison of the registered strategies on the same data
+ * - Day windows (dayRange) over shared data, for the Optimizer's hold-out and walk-forward tests
+ * - Buy-and-hold benchmarks (the ticker and SPY) with alpha, beta and information ratio; rolling Sharpe and drawdown
+ * - Flat or itemized transaction costs (TransactionCosts): commission, SEC/TAF fees and slippage per order
+ * - Trade analytics (TradeAnalytics): breakdowns by weekday, entry time, exit reason, setup and sentiment; MFE/MAE
+ * - Fixed entry plans (entryPlans) in place of the strategy's signals, for Significance's random-entry baselines
+ * - Steppers (createRun, createComparison, createMonteCarlo) that do one day or simulation per step(), for BacktestRunner
  */
 
 const Backtester = (() => {
@@ -15,18 +27,34 @@ const Backtester = (() => {
     startingCapital: 100000,
     commission: 0.005,         // Per share commission
     slippage: 0.02,            // Slippage per trade ($)
+    costModel: null,           // Itemized costs per order (TransactionCosts config); null = the flat commission and slippage above
     ticker: 'SPY',
     numDays: 60,               // Trading days to backtest
     startDate: '2025-11-01',
+    strategy: 'orb',           // Registered strategy (Strategies.list())
     strategyConfig: {},
+    optionsConfig: null,       // Also express every trade with calls/puts (OptionsModel config); null = shares only
+    dayRange: null,            // [first, end) session indexes to trade, e.g. a walk-forward window; null = every day
+    entryPlans: null,          // { [session index]: [{ minute, direction }] } fixed entries instead of the strategy's signals (ORB only; see Significance)
   };
 
-  // Run full backtest
-  function run(config) {
-    config = { ...DEFAULT_BACKTEST_CONFIG, ...config };
-    const { startingCapital, commission, slippage, ticker, numDays, startDate, strategyConfig } = config;
+  // Session VWAP at each candle
+  function sessionVwap(candles) {
+    const vwapData = [];
+    let cumPV = 0, cumVol = 0;
+    for (const c of candles) {
+      const typical = (c.high + c.low + c.close) / 3;
+      cumPV += typical * c.volume;
+      cumVol += c.volume;
+      vwapData.push(cumVol > 0 ? cumPV / cumVol : c.close);
+    }
+    return vwapData;
+  }
 
-    // Generate historical data
+  // Generate a ticker's history and the per-day inputs runDay needs: VWAP,
+  // sentiment score and the day context used by the enabled confirmation filters
+  // benchmarks: also collect the buy-and-hold bars of the ticker and SPY (Benchmark.dailyBars)
+  function prepareDays(ticker, numDays, startDate, strategyConfig, { benchmarks = true } = {}) {
     const historicalDays = MarketData.generateHistoricalData(
       ticker,
       new Date(startDate),
@@ -34,58 +62,151 @@ const Backtester = (() => {
       ticker.charCodeAt(0) * 31337
     );
 
+    // Extra day context needed by the enabled confirmation filters
+    const enabledFilters = ConfirmationFilters.resolve({ ...ORBStrategy.DEFAULT_CONFIG, ...strategyConfig });
+    const marketFilter = enabledFilters.find(f => f.name === 'market_alignment');
+    const usePreMarket = enabledFilters.some(f => f.name === 'premarket_break');
+    const marketHistory = {};
+    if (marketFilter) {
+      for (const symbol of marketFilter.params.symbols) {
+        marketHistory[symbol] = symbol === ticker
+          ? historicalDays
+          : MarketData.generateHistoricalData(symbol, new Date(startDate), numDays, symbol.charCodeAt(0) * 31337);
+      }
+    }
+
+    const profile = MarketData.STOCK_PROFILES[ticker];
+    const days = historicalDays.map((dayData, d) => {
+      // Get sentiment score for this day
+      const sentiment = SentimentAnalysis.analyze(ticker, dayData.date, profile.basePrice);
+      const prevClose = d > 0 ? historicalDays[d - 1].closePrice : profile.basePrice;
+
+      return {
+        dayData,
+        vwapData: sessionVwap(dayData.candles),
+        sentimentScore: sentiment?.compositeScore || 0,
+        context: {
+          ticker,
+          prevClose,
+          priorSessions: historicalDays.slice(0, d).map(day => day.candles),
+          avgDailyVolume: profile.avgVolume,
+          preMarketCandles: usePreMarket
+            ? MarketData.generatePreMarketData(ticker, dayData.date, ticker.charCodeAt(0) * 31337 + d, prevClose)
+            : [],
+          marketCandles: Object.fromEntries(
+            Object.entries(marketHistory).map(([symbol, mDays]) => [symbol, mDays[d]?.candles])
+          ),
+        },
+      };
+    });
+
+    const benchmarkBars = {};
+    if (benchmarks) {
+      for (const symbol of new Set([ticker, 'SPY'])) {
+        benchmarkBars[symbol] = Benchmark.dailyBars(symbol === ticker ? historicalDays : marketHistory[symbol]
+          || MarketData.generateHistoricalData(symbol, new Date(startDate), numDays, symbol.charCodeAt(0) * 31337));
+      }
+    }
+
+    return { historicalDays, days, benchmarkBars };
+  }
+
+  // Commission, slippage, regulatory and short borrow fees applied to a closed trade, with its
+  // day and ticker. With a costModel each order is charged separately (market: the
+  // TransactionCosts.indexCandles() of its sessions); without one, the flat rates.
+  function applyCosts(trade, { commission, slippage, costModel = null, market = null, equity, day, date, ticker }) {
+    const costs = costModel
+      ? TransactionCosts.tradeCosts(trade, costModel, market)
+      : { commission: trade.shares * commission * 2, slippage: slippage * 2, secFee: 0, tafFee: 0, fills: null }; // Entry + exit
+    const borrowFee = ShortSale.borrowCost(trade);
+    const netPnL = trade.totalPnL - costs.commission - costs.slippage - costs.secFee - costs.tafFee - borrowFee;
+    return {
+      ...trade,
+      day,
+      date,
+      ticker,
+      grossPnL: trade.totalPnL,
+      commission: parseFloat(costs.commission.toFixed(2)),
+      slippage: parseFloat(costs.slippage.toFixed(2)),
+      secFee: parseFloat(costs.secFee.toFixed(2)),
+      tafFee: parseFloat(costs.tafFee.toFixed(2)),
+      borrowFee,
+      costFills: costs.fills,
+      netPnL: parseFloat(netPnL.toFixed(2)),
+      returnPct: parseFloat((netPnL / equity * 100).toFixed(4)),
+    };
+  }
+
+  // Backtest stepped one trading day per step(), so a caller (BacktestRunner) can report
+  // progress, stop early and read the partial result. step() returns false once every day
+  // has run. prepared: prepareDays() output to reuse across runs on the same data
+  function createRun(config, prepared = null) {
+    config = { ...DEFAULT_BACKTEST_CONFIG, ...config };
+    const { startingCapital, commission, slippage, costModel, ticker, numDays, startDate, strategyConfig } = config;
+
+    // Generate historical data
+    const { historicalDays, days, benchmarkBars } = prepared || prepareDays(ticker, numDays, startDate, strategyConfig);
+    const [firstDay, endDay] = config.dayRange || [0, historicalDays.length];
+
     let equity = startingCapital;
     let peakEquity = startingCapital;
     let maxDrawdown = 0;
     let maxDrawdownPercent = 0;
-    const equityCurve = [{ day: 0, equity: startingCapital, date: startDate }];
+    const equityCurve = [{
+      day: firstDay,
+      equity: startingCapital,
+      date: firstDay > 0 ? historicalDays[firstDay - 1].date.toISOString().slice(0, 10) : startDate,
+    }];
     const allTrades = [];
+    const rejectedTrades = [];
     const dailyReturns = [];
     const dailyResults = [];
+    let carryTrade = null;
+
+    // Daily loss, losing streak, drawdown and equity-curve rules across the whole run
+    const riskManager = RiskManager.create({ ...ORBStrategy.DEFAULT_CONFIG, ...strategyConfig }, startingCapital, {
+      tradeCost: trade => trade.totalPnL - applyCosts(trade, { commission, slippage, costModel, equity: 1 }).netPnL,
+    });
+
+    let d = firstDay;
+
+    function step() {
+      if (d >= endDay) return false;
+      const { dayData, vwapData, sentimentScore } = days[d];
+      const context = {
+        ...days[d].context,
+        // Rolling trade results for Kelly sizing
+        tradeHistory: allTrades.map(t => t.netPnL),
+      };
+
+      riskManager.startDay({ equity, day: d + 1, date: dayData.date.toISOString().slice(0, 10) });
+      const result = Strategies.runDay(config.strategy, dayData.candles, strategyConfig, equity, vwapData, sentimentScore, {
+        context,
+        trackRejected: true,
+        carryTrade,
+        allowOvernight: d < endDay - 1,
+        riskManager,
+        entryPlan: config.entryPlans ? config.entryPlans[d] || [] : null,
+      });
+      carryTrade = result.heldOvernight || null;
 
-    for (let d = 0; d < historicalDays.length; d++) {
-      const dayData = historicalDays[d];
-
-      // Calculate VWAP for each candle
-      const vwapData = [];
-      let cumPV = 0, cumVol = 0;
-      for (const c of dayData.candles) {
-        const typical = (c.high + c.low + c.close) / 3;
-        cumPV += typical * c.volume;
-        cumVol += c.volume;
-        vwapData.push(cumVol > 0 ? cumPV / cumVol : c.close);
+      const costs = { commission, slippage, costModel, equity, day: d + 1, date: dayData.date.toISOString().slice(0, 10), ticker };
+      if (costModel) {
+        // With the prior session for fills of overnight trades
+        costs.market = TransactionCosts.indexCandles(d > 0 ? [...historicalDays[d - 1].candles, ...dayData.candles] : dayData.candles);
       }
-
-      // Get sentiment score for this day
-      const profile = MarketData.STOCK_PROFILES[ticker];
-      const sentiment = SentimentAnalysis.analyze(ticker, dayData.date, profile.basePrice);
-      const sentimentScore = sentiment?.compositeScore || 0;
-
-      const result = ORBStrategy.runDay(dayData.candles, strategyConfig, equity, vwapData, sentimentScore);
-
       let dayPnL = 0;
       for (const trade of result.trades) {
-        // Apply commission and slippage
-        const totalShares = trade.shares;
-        const commissionCost = totalShares * commission * 2; // Entry + exit
-        const slippageCost = slippage * 2;
-        const netPnL = trade.totalPnL - commissionCost - slippageCost;
-
-        allTrades.push({
-          ...trade,
-          day: d + 1,
-          date: dayData.date.toISOString().slice(0, 10),
-          ticker: ticker,
-          grossPnL: trade.totalPnL,
-          commission: parseFloat(commissionCost.toFixed(2)),
-          slippage: parseFloat(slippageCost.toFixed(2)),
-          netPnL: parseFloat(netPnL.toFixed(2)),
-          returnPct: parseFloat((netPnL / equity * 100).toFixed(4)),
-        });
-        dayPnL += netPnL;
+        const netTrade = applyCosts(trade, costs);
+        allTrades.push(netTrade);
+        dayPnL += netTrade.netPnL;
+      }
+      for (const trade of result.rejectedTrades || []) {
+        rejectedTrades.push(applyCosts(trade, costs));
       }
 
       equity += dayPnL;
+      riskManager.endDay(equity);
       if (equity > peakEquity) peakEquity = equity;
       const drawdown = peakEquity - equity;
       const drawdownPct = peakEquity > 0 ? drawdown / peakEquity * 100 : 0;
@@ -108,6 +229,7 @@ const Backtester = (() => {
           rangeSize: result.openingRange.rangeSize,
         } : null,
         trades: result.trades.length,
+        heldOvernight: carryTrade !== null,
       });
 
       dailyResults.push({
@@ -115,23 +237,174 @@ const Backtester = (() => {
         trades: result.trades.length,
         pnl: parseFloat(dayPnL.toFixed(2)),
         openingRange: result.openingRange,
-        signals: result.signals.length,
+        signals: result.signals.filter(s => s.type !== 'REJECTED').length,
+        rejected: result.signals.filter(s => s.type === 'REJECTED').length,
+        riskEvents: riskManager.events.filter(e => e.day === d + 1),
       });
+      d++;
+      return true;
     }
 
-    // Compute metrics
-    const metrics = computeMetrics(allTrades, equityCurve, dailyReturns, startingCapital);
+    // The result so far; partial until every day has run
+    function getResult() {
+      // Compute metrics
+      const metrics = computeMetrics(allTrades, equityCurve, dailyReturns, startingCapital);
+      const rejectedStats = computeRejectedStats(rejectedTrades);
+      const options = config.optionsConfig
+        ? runOptions(allTrades, days.slice(0, d).map(day => day.dayData), config)
+        : null;
+
+      return {
+        config,
+        equityCurve,
+        trades: allTrades,
+        rejectedTrades,
+        rejectedStats,
+        riskEvents: riskManager.events,
+        riskStats: RiskManager.summarize(riskManager.events),
+        dailyResults,
+        metrics,
+        rolling: rollingMetrics(equityCurve, dailyReturns),
+        benchmarks: Benchmark.compare(equityCurve, dailyReturns, benchmarkBars, startingCapital),
+        costs: TransactionCosts.summarize(allTrades),
+        analytics: TradeAnalytics.analyze(allTrades, { openingRangeMinutes: { ...ORBStrategy.DEFAULT_CONFIG, ...strategyConfig }.openingRangeMinutes }),
+        options,
+        historicalDays,
+        partial: d < endDay,
+      };
+    }
 
     return {
-      config,
+      step,
+      getResult,
+      get progress() { return { done: d - firstDay, total: endDay - firstDay, unit: 'day' }; },
+    };
+  }
+
+  // Run full backtest. prepared: prepareDays() output to reuse across runs on the same data
+  function run(config, prepared = null) {
+    const backtest = createRun(config, prepared);
+    while (backtest.step());
+    return backtest.getResult();
+  }
+
+  // Several strategies on the same ticker and days for a side-by-side comparison, stepped
+  // one strategy-day at a time like createRun(); a partial result lists the strategies started.
+  // paramsByStrategy: { [name]: settings merged over config.strategyConfig for that strategy }
+  function createComparison(config, names = Strategies.list().map(s => s.name), paramsByStrategy = {}) {
+    config = { ...DEFAULT_BACKTEST_CONFIG, ...config };
+    const prepared = prepareDays(config.ticker, config.numDays, config.startDate, config.strategyConfig);
+    const runs = names.map(name => ({
+      name,
+      backtest: createRun({
+        ...config,
+        strategy: name,
+        strategyConfig: { ...config.strategyConfig, ...paramsByStrategy[name] },
+        optionsConfig: null,
+      }, prepared),
+    }));
+
+    return {
+      step: () => runs.some(({ backtest }) => backtest.step()),
+      getResult: () => runs
+        .filter(({ backtest }) => backtest.progress.done > 0)
+        .map(({ name, backtest }) => {
+          const result = backtest.getResult();
+          return { name, label: Strategies.get(name).label, metrics: result.metrics, equityCurve: result.equityCurve, partial: result.partial };
+        }),
+      get progress() {
+        return runs.reduce((p, { backtest }) => ({
+          done: p.done + backtest.progress.done,
+          total: p.total + backtest.progress.total,
+          unit: 'day',
+        }), { done: 0, total: 0, unit: 'day' });
+      },
+    };
+  }
+
+  function compareStrategies(config, names, paramsByStrategy) {
+    const comparison = createComparison(config, names, paramsByStrategy);
+    while (comparison.step());
+    return comparison.getResult();
+  }
+
+  // Replay the stock trades on calls and puts with their own equity curve.
+  // sessions: each backtest day's data, in order (trade.day indexes it from 1).
+  function runOptions(trades, sessions, config) {
+    const { startingCapital, ticker, optionsConfig } = config;
+    const optionTrades = [];
+    let skipped = 0;
+    for (const trade of trades) {
+      const last = trade.day - 1;
+      const spanned = sessions.slice(last - (trade.sessionsHeld || 0), last + 1).map(s => s.candles);
+      const option = OptionsModel.priceTrade(trade, spanned, { ticker }, optionsConfig);
+      if (!option) {
+        skipped++;
+        continue;
+      }
+      optionTrades.push({ ...option, day: trade.day, date: trade.date, ticker: trade.ticker, stockNetPnL: trade.netPnL });
+    }
+
+    let equity = startingCapital;
+    const equityCurve = [{ day: 0, equity: startingCapital, date: config.startDate }];
+    const dailyReturns = [];
+    let peak = startingCapital;
+    sessions.forEach((session, d) => {
+      const dayTrades = optionTrades.filter(t => t.day === d + 1);
+      const dayPnL = dayTrades.reduce((s, t) => s + t.netPnL, 0);
+      for (const t of dayTrades) t.returnPct = parseFloat((t.netPnL / equity * 100).toFixed(4));
+      dailyReturns.push(equity > 0 ? dayPnL / equity * 100 : 0);
+      equity += dayPnL;
+      if (equity > peak) peak = equity;
+      equityCurve.push({
+        day: d + 1,
+        equity: parseFloat(equity.toFixed(2)),
+        date: session.date.toISOString().slice(0, 10),
+        pnl: parseFloat(dayPnL.toFixed(2)),
+        drawdown: parseFloat((peak - equity).toFixed(2)),
+        drawdownPct: parseFloat((peak > 0 ? (peak - equity) / peak * 100 : 0).toFixed(2)),
+        trades: dayTrades.length,
+      });
+    });
+
+    const sum = key => parseFloat(optionTrades.reduce((s, t) => s + t[key], 0).toFixed(2));
+    return {
+      config: { ...OptionsModel.DEFAULT_OPTIONS_CONFIG, ...optionsConfig },
+      trades: optionTrades,
+      skipped,
       equityCurve,
-      trades: allTrades,
-      dailyResults,
-      metrics,
-      historicalDays,
+      metrics: computeMetrics(optionTrades, equityCurve, dailyReturns, startingCapital),
+      thetaPnL: sum('thetaPnL'),
+      spreadCost: sum('spreadCost'),
+      commission: sum('commission'),
+      premiumPaid: sum('premiumPaid'),
     };
   }
 
+  // Trailing-window Sharpe ratio (annualized) and max drawdown % at each session end,
+  // once `window` sessions have run
+  function rollingMetrics(equityCurve, dailyReturns, window = 20) {
+    const series = [];
+    for (let i = window - 1; i < dailyReturns.length; i++) {
+      const returns = dailyReturns.slice(i - window + 1, i + 1);
+      const avg = returns.reduce((a, b) => a + b, 0) / window;
+      const std = Math.sqrt(returns.reduce((s, r) => s + (r - avg) ** 2, 0) / (window - 1));
+      let peak = -Infinity, drawdownPct = 0;
+      for (const point of equityCurve.slice(i - window + 1, i + 2)) {
+        peak = Math.max(peak, point.equity);
+        drawdownPct = Math.max(drawdownPct, (peak - point.equity) / peak * 100);
+      }
+      const point = equityCurve[i + 1];
+      series.push({
+        day: point.day,
+        date: point.date,
+        sharpe: parseFloat((std > 0 ? avg / std * Math.sqrt(252) : 0).toFixed(2)),
+        drawdownPct: parseFloat(drawdownPct.toFixed(2)),
+      });
+    }
+    return series;
+  }
+
   function computeMetrics(trades, equityCurve, dailyReturns, startingCapital) {
     const winners = trades.filter(t => t.netPnL > 0);
     const losers = trades.filter(t => t.netPnL <= 0);
@@ -140,8 +413,8 @@ const Backtester = (() => {
     const grossLoss = Math.abs(losers.reduce((s, t) => s + t.netPnL, 0));
 
     // Drawdown calculations
-    let maxDD = 0, maxDDPct = 0, peak = startingCapital;
-    let currentDDStart = 0, longestDD = 0, ddStartDay = 0;
+    let maxDD = 0, maxDDPct = 0, peak = startingCapital, ddPctSquares = 0;
+    let currentDDStart = 0, longestDD = 0, ddStartDay = equityCurve.length > 0 ? equityCurve[0].day : 0;
     for (const point of equityCurve) {
       if (point.equity >= peak) {
         peak = point.equity;
@@ -153,7 +426,10 @@ const Backtester = (() => {
       const ddPct = peak > 0 ? dd / peak * 100 : 0;
       if (dd > maxDD) maxDD = dd;
       if (ddPct > maxDDPct) maxDDPct = ddPct;
+      ddPctSquares += ddPct ** 2;
     }
+    // Ulcer index: RMS of the drawdown %, so depth and length of drawdowns both count
+    const ulcerIndex = equityCurve.length > 0 ? Math.sqrt(ddPctSquares / equityCurve.length) : 0;
 
     // Risk-adjusted returns
     const avgDailyReturn = dailyReturns.length > 0
@@ -170,6 +446,14 @@ const Backtester = (() => {
     const annualizedStd = stdDailyReturn * Math.sqrt(252);
     const sharpeRatio = annualizedStd > 0 ? annualizedReturn / annualizedStd : 0;
     const sortinoRatio = downsideStd > 0 ? (avgDailyReturn * 252) / (downsideStd * Math.sqrt(252)) : 0;
+    const calmarRatio = maxDDPct > 0 ? annualizedReturn / maxDDPct : annualizedReturn > 0 ? Infinity : 0;
+
+    // Tail ratio: size of the best days (95th percentile) over the worst (5th)
+    const sortedReturns = [...dailyReturns].sort((a, b) => a - b);
+    const percentile = p => sortedReturns[Math.min(sortedReturns.length - 1, Math.floor(sortedReturns.length * p))];
+    const tailRatio = sortedReturns.length === 0 ? 0
+      : percentile(0.05) < 0 ? Math.abs(percentile(0.95) / percentile(0.05))
+        : percentile(0.95) > 0 ? Infinity : 0;
 
     // Trade statistics
     const avgWin = winners.length > 0 ? grossProfit / winners.length : 0;
@@ -196,6 +480,37 @@ const Backtester = (() => {
     const durations = trades.map(t => t.durationMinutes).filter(d => d != null);
     const avgDuration = durations.length > 0 ? durations.reduce((a, b) => a + b, 0) / durations.length : 0;
 
+    // Trades whose outcome depended on the intra-bar fill model (stop and target in one candle)
+    const ambiguousFills = trades.filter(t => t.fillRule && t.fillRule !== 'unambiguous');
+
+    // Trades cut down by the notional, leverage or buying-power caps
+    const sizeLimited = trades.filter(t => t.sizing && t.sizing.constraint);
+
+    // Trades held overnight and the P&L from their opening gaps
+    const overnightTrades = trades.filter(t => t.sessionsHeld > 0);
+    const overnightPnL = overnightTrades.reduce((s, t) => s + t.overnightPnL, 0);
+
+    // Short-sale rules: borrow fees charged and shorts filled on an uptick under SSR
+    const borrowFees = trades.reduce((s, t) => s + (t.borrowFee || 0), 0);
+    const ssrTrades = trades.filter(t => t.ssrFill);
+
+    // Trades that pyramided into the position
+    const addOnTrades = trades.filter(t => t.adds && t.adds.length > 0);
+
+    // Per-setup stats: initial breakout, re-entry after a stop-out, failed-breakout reversal
+    const setupStats = {};
+    for (const t of trades) {
+      const setup = t.setup || 'breakout';
+      if (!setupStats[setup]) setupStats[setup] = { trades: 0, winners: 0, totalPnL: 0, winRate: 0 };
+      setupStats[setup].trades++;
+      if (t.netPnL > 0) setupStats[setup].winners++;
+      setupStats[setup].totalPnL += t.netPnL;
+    }
+    for (const stats of Object.values(setupStats)) {
+      stats.totalPnL = parseFloat(stats.totalPnL.toFixed(2));
+      stats.winRate = parseFloat((stats.winners / stats.trades * 100).toFixed(1));
+    }
+
     // Average holding per direction
     const longTrades = trades.filter(t => t.direction === 'LONG');
     const shortTrades = trades.filter(t => t.direction === 'SHORT');
@@ -219,6 +534,9 @@ const Backtester = (() => {
       longestDrawdownDays: longestDD,
       sharpeRatio: parseFloat(sharpeRatio.toFixed(2)),
       sortinoRatio: parseFloat(sortinoRatio.toFixed(2)),
+      calmarRatio: parseFloat(calmarRatio.toFixed(2)),
+      ulcerIndex: parseFloat(ulcerIndex.toFixed(2)),
+      tailRatio: parseFloat(tailRatio.toFixed(2)),
       annualizedReturn: parseFloat(annualizedReturn.toFixed(2)),
       maxConsecWins,
       maxConsecLosses,
@@ -229,6 +547,18 @@ const Backtester = (() => {
         ? parseFloat((longTrades.filter(t => t.netPnL > 0).length / longTrades.length * 100).toFixed(1)) : 0,
       shortWinRate: shortTrades.length > 0
         ? parseFloat((shortTrades.filter(t => t.netPnL > 0).length / shortTrades.length * 100).toFixed(1)) : 0,
+      setupStats,
+      ambiguousFillTrades: ambiguousFills.length,
+      ambiguousFillPnL: parseFloat(ambiguousFills.reduce((s, t) => s + t.netPnL, 0).toFixed(2)),
+      sizeLimitedTrades: sizeLimited.length,
+      overnightTrades: overnightTrades.length,
+      overnightPnL: parseFloat(overnightPnL.toFixed(2)),
+      intradayPnL: parseFloat((totalPnL - overnightPnL).toFixed(2)),
+      addOnTrades: addOnTrades.length,
+      addOns: addOnTrades.reduce((s, t) => s + t.adds.length, 0),
+      addOnPnL: parseFloat(addOnTrades.reduce((s, t) => s + t.netPnL, 0).toFixed(2)),
+      borrowFees: parseFloat(borrowFees.toFixed(2)),
+      ssrTrades: ssrTrades.length,
       avgWinLossRatio: avgLoss > 0 ? parseFloat((avgWin / avgLoss).toFixed(2)) : 0,
       finalEquity: equityCurve.length > 0 ? equityCurve[equityCurve.length - 1].equity : 0,
       totalReturn: equityCurve.length > 0
@@ -236,51 +566,189 @@ const Backtester = (() => {
     };
   }
 
-  // Monte Carlo simulation for confidence intervals
-  function monteCarloSimulation(trades, startingCapital, numSimulations = 1000) {
-    if (trades.length === 0) return null;
+  // What rejected breakouts would have earned, grouped by the rule that blocked
+  // them and by each confirmation filter that failed. A filter whose rejected
+  // trades would have made money is costing the strategy.
+  function computeRejectedStats(rejectedTrades) {
+    const group = () => ({ count: 0, winners: 0, netPnL: 0, winRate: 0, avgPnL: 0 });
+    const add = (stats, trade) => {
+      stats.count++;
+      if (trade.netPnL > 0) stats.winners++;
+      stats.netPnL += trade.netPnL;
+    };
+    const finish = stats => {
+      stats.netPnL = parseFloat(stats.netPnL.toFixed(2));
+      stats.winRate = stats.count > 0 ? parseFloat((stats.winners / stats.count * 100).toFixed(1)) : 0;
+      stats.avgPnL = stats.count > 0 ? parseFloat((stats.netPnL / stats.count).toFixed(2)) : 0;
+    };
+
+    const total = group();
+    const byReason = {};
+    const byFilter = {};
+    for (const t of rejectedTrades) {
+      add(total, t);
+      for (const reason of t.rejectionReasons || []) {
+        if (!byReason[reason]) byReason[reason] = group();
+        add(byReason[reason], t);
+      }
+      // Only filter failures that decided the rejection
+      if (!(t.rejectionReasons || []).includes('confirmations')) continue;
+      for (const name of t.failedConfirmations || []) {
+        if (!byFilter[name]) byFilter[name] = group();
+        add(byFilter[name], t);
+      }
+    }
+    finish(total);
+    Object.values(byReason).forEach(finish);
+    Object.values(byFilter).forEach(finish);
+
+    return { total, byReason, byFilter };
+  }
+
+  const DEFAULT_MONTE_CARLO_CONFIG = {
+    seed: 42,
+    method: 'trades',          // 'trades' (each trade drawn independently) or 'days' (block bootstrap of consecutive days, keeping streaks)
+    blockDays: 5,              // Consecutive days per block ('days')
+    compounding: false,        // Apply each trade's return % to the simulated equity instead of its dollar P&L
+    skipProbability: 0,        // Chance each trade is skipped (missed fills, days away)
+    ruinPercent: 50,           // Ruin: equity this % below the start; a ruined path stops trading
+    drawdownLevels: [10, 20, 30], // Report the chance of a max drawdown of at least each %
+    days: null,                // Session numbers for 'days' (e.g. the equity curve's); null = first to last trade day
+  };
+
+  // Monte Carlo simulation for confidence intervals, one simulation per step().
+  // Resamples the trades with replacement, or whole blocks of days, optionally compounding
+  // and skipping trades; reports percentiles, risk of ruin, drawdown odds and the full distributions
+  function createMonteCarlo(trades, startingCapital, numSimulations = 1000, options = {}) {
+    options = { ...DEFAULT_MONTE_CARLO_CONFIG, ...options };
+    const { method, blockDays, compounding, skipProbability, ruinPercent } = options;
     const results = [];
-    const rng = MarketData.seededRandom(42);
+    const rng = MarketData.seededRandom(options.seed);
+    const ruinEquity = startingCapital * (1 - ruinPercent / 100);
+
+    // Each session's trades, in order, for the block bootstrap
+    let days = [];
+    const tradesByDay = {};
+    if (method === 'days' && trades.length > 0) {
+      for (const trade of trades) (tradesByDay[trade.day] = tradesByDay[trade.day] || []).push(trade);
+      const tradeDays = trades.map(t => t.day);
+      days = options.days || Array.from({ length: Math.max(...tradeDays) - Math.min(...tradeDays) + 1 }, (_, i) => Math.min(...tradeDays) + i);
+    }
 
-    for (let sim = 0; sim < numSimulations; sim++) {
+    function step() {
+      if (trades.length === 0 || results.length >= numSimulations) return false;
       let equity = startingCapital;
       let peak = startingCapital;
       let maxDD = 0;
+      let ruined = false;
+      let taken = 0;
 
-      // Randomly resample trades with replacement
-      for (let i = 0; i < trades.length; i++) {
-        const idx = Math.floor(rng() * trades.length);
-        equity += trades[idx].netPnL;
+      const apply = trade => {
+        if (ruined || (skipProbability > 0 && rng() < skipProbability)) return;
+        equity += compounding ? equity * trade.returnPct / 100 : trade.netPnL;
+        taken++;
         if (equity > peak) peak = equity;
         const dd = (peak - equity) / peak * 100;
         if (dd > maxDD) maxDD = dd;
+        if (equity <= ruinEquity) ruined = true;
+      };
+
+      if (method === 'days') {
+        // Circular blocks of consecutive days until the path is as long as the original
+        for (let drawn = 0; drawn < days.length;) {
+          const start = Math.floor(rng() * days.length);
+          for (let k = 0; k < blockDays && drawn < days.length; k++, drawn++) {
+            for (const trade of tradesByDay[days[(start + k) % days.length]] || []) apply(trade);
+          }
+        }
+      } else {
+        // Randomly resample trades with replacement
+        for (let i = 0; i < trades.length; i++) apply(trades[Math.floor(rng() * trades.length)]);
       }
 
       results.push({
         finalEquity: parseFloat(equity.toFixed(2)),
         totalReturn: parseFloat(((equity - startingCapital) / startingCapital * 100).toFixed(2)),
         maxDrawdown: parseFloat(maxDD.toFixed(2)),
+        trades: taken,
+        ruined,
       });
+      return true;
     }
 
-    results.sort((a, b) => a.finalEquity - b.finalEquity);
+    // Percentiles, odds and distributions of the simulations run so far
+    function getResult() {
+      if (results.length === 0) return null;
+      const sorted = [...results].sort((a, b) => a.finalEquity - b.finalEquity);
+      const n = sorted.length;
+      const share = count => parseFloat((count / n * 100).toFixed(1));
+      return {
+        simulations: n,
+        method,
+        compounding,
+        skipProbability,
+        seed: options.seed,
+        median: sorted[Math.floor(n * 0.5)],
+        percentile5: sorted[Math.floor(n * 0.05)],
+        percentile25: sorted[Math.floor(n * 0.25)],
+        percentile75: sorted[Math.floor(n * 0.75)],
+        percentile95: sorted[Math.floor(n * 0.95)],
+        worstCase: sorted[0],
+        bestCase: sorted[n - 1],
+        probabilityOfLoss: share(results.filter(r => r.finalEquity < startingCapital).length),
+        ruinPercent,
+        riskOfRuin: share(results.filter(r => r.ruined).length),
+        drawdownProbabilities: options.drawdownLevels.map(level => ({
+          level,
+          probability: share(results.filter(r => r.maxDrawdown >= level).length),
+        })),
+        distributions: {
+          finalEquity: sorted.map(r => r.finalEquity),
+          maxDrawdown: results.map(r => r.maxDrawdown).sort((a, b) => a - b),
+        },
+      };
+    }
 
     return {
-      median: results[Math.floor(numSimulations * 0.5)],
-      percentile5: results[Math.floor(numSimulations * 0.05)],
-      percentile25: results[Math.floor(numSimulations * 0.25)],
-      percentile75: results[Math.floor(numSimulations * 0.75)],
-      percentile95: results[Math.floor(numSimulations * 0.95)],
-      worstCase: results[0],
-      bestCase: results[numSimulations - 1],
+      step,
+      getResult,
+      get progress() { return { done: results.length, total: trades.length > 0 ? numSimulations : 0, unit: 'simulation' }; },
     };
   }
 
+  function monteCarloSimulation(trades, startingCapital, numSimulations = 1000, options = {}) {
+    const simulation = createMonteCarlo(trades, startingCapital, numSimulations, options);
+    while (simulation.step());
+    return simulation.getResult();
+  }
+
+  // Counts of values in equal-width bins, for plotting a distribution
+  function histogram(values, bins = 20) {
+    if (values.length === 0) return [];
+    const min = Math.min(...values);
+    const width = (Math.max(...values) - min) / bins || 1;
+    const counts = Array.from({ length: bins }, (_, i) => ({ from: min + i * width, to: min + (i + 1) * width, count: 0 }));
+    for (const value of values) counts[Math.min(bins - 1, Math.floor((value - min) / width))].count++;
+    return counts;
+  }
+
   return {
     DEFAULT_BACKTEST_CONFIG,
+    createRun,
     run,
+    createComparison,
+    compareStrategies,
+    runOptions,
+    prepareDays,
+    sessionVwap,
+    applyCosts,
     computeMetrics,
+    rollingMetrics,
+    computeRejectedStats,
+    DEFAULT_MONTE_CARLO_CONFIG,
+    createMonteCarlo,
     monteCarloSimulation,
+    histogram,
   };
 })();
 
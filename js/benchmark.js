@@ -0,0 +1,120 @@
+/**
+ * Benchmark
+ *
+ * Buy-and-hold benchmarks for a backtest and the strategy's performance relative to them:
+ * - Daily bars of the backtested ticker, SPY, or an equal-weight basket
+ * - A buy-and-hold equity curve on the backtest's days, bought at the first open
+ * - Alpha, beta, correlation, tracking error and information ratio of the
+ *   strategy's daily returns against the benchmark's
+ *
+ * Backtester.prepareDays() collects the bars; Backtester and Portfolio results
+ * carry compare()'s output as `benchmarks`.
+ */
+
+const Benchmark = (() => {
+
+  const TRADING_DAYS = 252;
+
+  const mean = values => values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : 0;
+  const round = (value, places) => parseFloat(value.toFixed(places));
+
+  function covariance(a, b) {
+    const n = Math.min(a.length, b.length);
+    if (n < 2) return 0;
+    const meanA = mean(a.slice(0, n));
+    const meanB = mean(b.slice(0, n));
+    let sum = 0;
+    for (let i = 0; i < n; i++) sum += (a[i] - meanA) * (b[i] - meanB);
+    return sum / (n - 1);
+  }
+
+  const stdDev = values => Math.sqrt(covariance(values, values));
+
+  // Daily open and close of a MarketData history
+  function dailyBars(historicalDays) {
+    return historicalDays.map(day => ({
+      date: day.date.toISOString().slice(0, 10),
+      open: day.candles[0].open,
+      close: day.closePrice,
+    }));
+  }
+
+  // Equal-weight basket bought at the first open and never rebalanced, as bars of
+  // its value (1 = the cost). barsList: each ticker's dailyBars(), same days.
+  function basketBars(barsList) {
+    const numDays = Math.min(...barsList.map(bars => bars.length));
+    return Array.from({ length: numDays }, (_, d) => ({
+      date: barsList[0][d].date,
+      open: mean(barsList.map(bars => bars[d].open / bars[0].open)),
+      close: mean(barsList.map(bars => bars[d].close / bars[0].open)),
+    }));
+  }
+
+  // Buy-and-hold equity on the same days as a strategy equity curve (points after the
+  // first are session ends, day = session index + 1), bought at its first session's open
+  function buyAndHold(bars, equityCurve, startingCapital) {
+    const entry = bars[equityCurve[0].day].open;
+    const curve = equityCurve.map((point, i) => ({
+      day: point.day,
+      date: point.date,
+      equity: i === 0 ? startingCapital : round(startingCapital * bars[point.day - 1].close / entry, 2),
+    }));
+    const dailyReturns = curve.slice(1).map((point, i) => (point.equity - curve[i].equity) / curve[i].equity * 100);
+    return { equityCurve: curve, dailyReturns };
+  }
+
+  // Strategy vs benchmark daily returns (%): annualized alpha (zero risk-free rate), beta,
+  // correlation, annualized tracking error and information ratio
+  function relative(strategyReturns, benchmarkReturns) {
+    const n = Math.min(strategyReturns.length, benchmarkReturns.length);
+    const s = strategyReturns.slice(0, n);
+    const b = benchmarkReturns.slice(0, n);
+    const varB = covariance(b, b);
+    const sdS = stdDev(s);
+    const sdB = Math.sqrt(varB);
+    const beta = varB > 0 ? covariance(s, b) / varB : 0;
+    const active = s.map((r, i) => r - b[i]);
+    const trackingError = stdDev(active) * Math.sqrt(TRADING_DAYS);
+    return {
+      alpha: round((mean(s) - beta * mean(b)) * TRADING_DAYS, 2),
+      beta: round(beta, 3),
+      correlation: sdS > 0 && sdB > 0 ? round(covariance(s, b) / (sdS * sdB), 3) : 0,
+      trackingError: round(trackingError, 2),
+      informationRatio: trackingError > 0 ? round(mean(active) * TRADING_DAYS / trackingError, 2) : 0,
+    };
+  }
+
+  // Each benchmark's buy-and-hold result and the strategy's metrics against it.
+  // benchmarkBars: { [symbol]: dailyBars() } indexed like the backtest's sessions
+  function compare(equityCurve, dailyReturns, benchmarkBars, startingCapital) {
+    if (equityCurve.length < 2) return [];
+    return Object.entries(benchmarkBars).map(([symbol, bars]) => {
+      const hold = buyAndHold(bars, equityCurve, startingCapital);
+      const finalEquity = hold.equityCurve[hold.equityCurve.length - 1].equity;
+      let peak = startingCapital, maxDrawdownPct = 0;
+      for (const point of hold.equityCurve) {
+        peak = Math.max(peak, point.equity);
+        maxDrawdownPct = Math.max(maxDrawdownPct, (peak - point.equity) / peak * 100);
+      }
+      const sd = stdDev(hold.dailyReturns);
+      return {
+        symbol,
+        equityCurve: hold.equityCurve,
+        totalReturn: round((finalEquity - startingCapital) / startingCapital * 100, 2),
+        maxDrawdownPct: round(maxDrawdownPct, 2),
+        sharpeRatio: sd > 0 ? round(mean(hold.dailyReturns) / sd * Math.sqrt(TRADING_DAYS), 2) : 0,
+        ...relative(dailyReturns, hold.dailyReturns),
+      };
+    });
+  }
+
+  return {
+    dailyBars,
+    basketBars,
+    buyAndHold,
+    relative,
+    compare,
+  };
+})();
+
+if (typeof module !== 'undefined') module.exports = Benchmark;
@@ -0,0 +1,282 @@
+/**
+ * Confirmation Filter Registry
+ *
+ * Breakouts in the ORB engine are confirmed by pluggable filters. Each filter
+ * has a name, default parameters and an evaluator that decides whether a
+ * LONG or SHORT breakout is confirmed:
+ * - volume, vwap, sentiment (the original three checks)
+ * - rsi, ema_trend (momentum and trend alignment on the session's closes)
+ * - relative_volume (session volume vs. the same point on prior days)
+ * - market_alignment (SPY/QQQ moving the same way)
+ * - premarket_break (breakout also clears the pre-market high/low)
+ *
+ * Filters are enabled, weighted and configured through the strategy config's
+ * `confirmationFilters` map; new filters can be added with register().
+ */
+
+const ConfirmationFilters = (() => {
+
+  const registry = {};
+
+  // Legacy boolean toggles that still enable the original three filters
+  const LEGACY_TOGGLES = {
+    volume: 'volumeConfirmation',
+    vwap: 'vwapConfirmation',
+    sentiment: 'sentimentConfirmation',
+  };
+
+  // Register a filter: { label, description, defaultParams, evaluate(direction, ctx, params) }
+  // evaluate returns { pass, value, detail }; value is the measured quantity.
+  function register(name, filter) {
+    registry[name] = {
+      name,
+      label: filter.label || name,
+      description: filter.description || '',
+      defaultParams: filter.defaultParams || {},
+      evaluate: filter.evaluate,
+    };
+  }
+
+  function get(name) {
+    return registry[name] || null;
+  }
+
+  function list() {
+    return Object.values(registry);
+  }
+
+  // Resolve the enabled filters for a strategy config, with weights and merged params
+  function resolve(config) {
+    const overrides = config.confirmationFilters || {};
+    const resolved = [];
+
+    for (const filter of list()) {
+      const override = overrides[filter.name] || {};
+      const legacyKey = LEGACY_TOGGLES[filter.name];
+      const enabled = override.enabled !== undefined
+        ? override.enabled
+        : legacyKey ? config[legacyKey] !== false : false;
+      if (!enabled) continue;
+
+      resolved.push({
+        ...filter,
+        weight: override.weight !== undefined ? override.weight : 1,
+        params: { ...filter.defaultParams, ...(override.params || {}) },
+      });
+    }
+    return resolved;
+  }
+
+  // Evaluate resolved filters for a breakout. Returns the names that passed,
+  // their weighted score and a per-filter result list.
+  function evaluate(filters, direction, ctx) {
+    const confirmations = [];
+    const results = [];
+    let score = 0;
+
+    for (const filter of filters) {
+      const result = filter.evaluate(direction, ctx, filter.params);
+      results.push({ name: filter.name, weight: filter.weight, ...result });
+      if (result.pass) {
+        confirmations.push(filter.name);
+        score += filter.weight;
+      }
+    }
+    return { confirmations, score, results };
+  }
+
+  // ─── Indicator helpers ──────────────────────────────
+
+  function ema(values, period) {
+    if (values.length < period) return null;
+    const k = 2 / (period + 1);
+    let value = values.slice(0, period).reduce((a, b) => a + b, 0) / period;
+    for (let i = period; i < values.length; i++) {
+      value = values[i] * k + value * (1 - k);
+    }
+    return value;
+  }
+
+  // Wilder's RSI on a series of closes
+  function rsi(closes, period) {
+    if (closes.length <= period) return null;
+    let gain = 0, loss = 0;
+    for (let i = 1; i <= period; i++) {
+      const change = closes[i] - closes[i - 1];
+      if (change > 0) gain += change; else loss -= change;
+    }
+    gain /= period;
+    loss /= period;
+    for (let i = period + 1; i < closes.length; i++) {
+      const change = closes[i] - closes[i - 1];
+      gain = (gain * (period - 1) + Math.max(change, 0)) / period;
+      loss = (loss * (period - 1) + Math.max(-change, 0)) / period;
+    }
+    if (loss === 0) return 100;
+    return 100 - 100 / (1 + gain / loss);
+  }
+
+  function noData(detail) {
+    return { pass: true, value: null, detail };
+  }
+
+  // ─── Built-in filters ──────────────────────────────
+
+  register('volume', {
+    label: 'Volume',
+    description: 'Breakout candle volume vs. the opening range average',
+    defaultParams: {},
+    evaluate(direction, ctx, params) {
+      const multiplier = params.multiplier !== undefined ? params.multiplier : ctx.config.volumeMultiplier;
+      const ratio = ctx.openingRange.avgVolume > 0 ? ctx.candle.volume / ctx.openingRange.avgVolume : 0;
+      return {
+        pass: ctx.candle.volume >= ctx.openingRange.avgVolume * multiplier,
+        value: parseFloat(ratio.toFixed(2)),
+        detail: `Volume ${ratio.toFixed(2)}x OR average (need ${multiplier}x)`,
+      };
+    },
+  });
+
+  register('vwap', {
+    label: 'VWAP',
+    description: 'Close above VWAP for longs, below for shorts',
+    defaultParams: {},
+    evaluate(direction, ctx) {
+      if (ctx.vwap === null || ctx.vwap === undefined) return noData('No VWAP available');
+      const distance = (ctx.candle.close - ctx.vwap) / ctx.vwap * 100;
+      return {
+        pass: direction === 'LONG' ? ctx.candle.close > ctx.vwap : ctx.candle.close < ctx.vwap,
+        value: parseFloat(distance.toFixed(3)),
+        detail: `Close ${distance >= 0 ? '+' : ''}${distance.toFixed(3)}% from VWAP`,
+      };
+    },
+  });
+
+  register('sentiment', {
+    label: 'Sentiment',
+    description: 'Pre-market sentiment aligned with the breakout',
+    defaultParams: {},
+    evaluate(direction, ctx) {
+      return {
+        pass: direction === 'LONG' ? ctx.sentimentScore > 0 : ctx.sentimentScore < 0,
+        value: ctx.sentimentScore,
+        detail: `Sentiment score ${ctx.sentimentScore}`,
+      };
+    },
+  });
+
+  register('rsi', {
+    label: 'RSI',
+    description: 'RSI above the threshold for longs, below it for shorts',
+    defaultParams: { period: 14, longAbove: 50, shortBelow: 50 },
+    evaluate(direction, ctx, params) {
+      const value = rsi(ctx.candles.map(c => c.close), params.period);
+      if (value === null) return noData(`Fewer than ${params.period + 1} bars for RSI`);
+      return {
+        pass: direction === 'LONG' ? value > params.longAbove : value < params.shortBelow,
+        value: parseFloat(value.toFixed(1)),
+        detail: `RSI(${params.period}) ${value.toFixed(1)}`,
+      };
+    },
+  });
+
+  register('ema_trend', {
+    label: 'EMA Trend',
+    description: 'Fast EMA above the slow EMA for longs, below for shorts',
+    defaultParams: { fastPeriod: 9, slowPeriod: 21 },
+    evaluate(direction, ctx, params) {
+      const closes = ctx.candles.map(c => c.close);
+      const fast = ema(closes, params.fastPeriod);
+      const slow = ema(closes, params.slowPeriod);
+      if (fast === null || slow === null) return noData(`Fewer than ${params.slowPeriod} bars for EMA`);
+      return {
+        pass: direction === 'LONG' ? fast > slow : fast < slow,
+        value: parseFloat((fast - slow).toFixed(3)),
+        detail: `EMA${params.fastPeriod} ${fast.toFixed(2)} vs EMA${params.slowPeriod} ${slow.toFixed(2)}`,
+      };
+    },
+  });
+
+  register('relative_volume', {
+    label: 'Relative Volume',
+    description: 'Session volume so far vs. the same point on prior days',
+    defaultParams: { minRelativeVolume: 1.2, lookbackDays: 10 },
+    evaluate(direction, ctx, params) {
+      const context = ctx.context || {};
+      const count = ctx.candles.length;
+      const sessionVolume = ctx.candles.reduce((sum, c) => sum + c.volume, 0);
+
+      let expected = null;
+      const sessions = (context.priorSessions || []).slice(-params.lookbackDays);
+      if (sessions.length > 0) {
+        expected = sessions.reduce((sum, s) =>
+          sum + s.slice(0, count).reduce((v, c) => v + c.volume, 0), 0) / sessions.length;
+      } else if (context.avgDailyVolume) {
+        expected = context.avgDailyVolume * count / 390;
+      }
+      if (!expected) return noData('No multi-day volume history');
+
+      const rvol = sessionVolume / expected;
+      return {
+        pass: rvol >= params.minRelativeVolume,
+        value: parseFloat(rvol.toFixed(2)),
+        detail: `Relative volume ${rvol.toFixed(2)}x (need ${params.minRelativeVolume}x)`,
+      };
+    },
+  });
+
+  register('market_alignment', {
+    label: 'Market Alignment',
+    description: 'SPY/QQQ trading above their open for longs, below for shorts',
+    defaultParams: { symbols: ['SPY', 'QQQ'], requireAll: false },
+    evaluate(direction, ctx, params) {
+      const markets = (ctx.context && ctx.context.marketCandles) || {};
+      const moves = [];
+      for (const symbol of params.symbols) {
+        const series = markets[symbol];
+        const bar = series && series[Math.min(ctx.index, series.length - 1)];
+        if (!bar) continue;
+        moves.push({ symbol, change: (bar.close - series[0].open) / series[0].open * 100 });
+      }
+      if (moves.length === 0) return noData('No market index data');
+
+      const aligned = moves.filter(m => direction === 'LONG' ? m.change > 0 : m.change < 0);
+      return {
+        pass: params.requireAll ? aligned.length === moves.length : aligned.length > 0,
+        value: aligned.length,
+        detail: moves.map(m => `${m.symbol} ${m.change >= 0 ? '+' : ''}${m.change.toFixed(2)}%`).join(', '),
+      };
+    },
+  });
+
+  register('premarket_break', {
+    label: 'Pre-Market Break',
+    description: 'Breakout also clears the pre-market high (long) or low (short)',
+    defaultParams: {},
+    evaluate(direction, ctx) {
+      const preMarket = (ctx.context && ctx.context.preMarketCandles) || [];
+      if (preMarket.length === 0) return noData('No pre-market data');
+      const level = direction === 'LONG'
+        ? Math.max(...preMarket.map(c => c.high))
+        : Math.min(...preMarket.map(c => c.low));
+      return {
+        pass: direction === 'LONG' ? ctx.candle.close > level : ctx.candle.close < level,
+        value: parseFloat(level.toFixed(2)),
+        detail: `Pre-market ${direction === 'LONG' ? 'high' : 'low'} ${level.toFixed(2)}`,
+      };
+    },
+  });
+
+  return {
+    LEGACY_TOGGLES,
+    register,
+    get,
+    list,
+    resolve,
+    evaluate,
+    ema,
+    rsi,
+  };
+})();
+
+if (typeof module !== 'undefined') module.exports = ConfirmationFilters;
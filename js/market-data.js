@@ -146,7 +146,8 @@ const MarketData = (() => {
         currentDate = new Date(currentDate.getTime() + 86400000);
       }
 
-      seed = seed * 1103515245 + 12345;
+      // Wrap to 32 bits: the plain product outgrows float precision within days and every later day repeats
+      seed = (Math.imul(seed, 1103515245) + 12345) >>> 0;
       const dayData = generateIntradayData(ticker, new Date(currentDate), seed, prevClose);
       if (dayData) {
         days.push(dayData);
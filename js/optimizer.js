@@ -0,0 +1,312 @@
+/**
+ * Strategy Optimizer
+ *
+ * Searches strategy settings with Backtester.run():
+ * - Full grid search or seeded random search over parameter ranges
+ * - Objectives: Sharpe, profit factor, expectancy or net P&L, with a minimum trade count
+ * - Hold-out test: the winner of the first days re-run on the days left out
+ * - Rolling walk-forward: optimize on each in-sample window, then trade the
+ *   following out-of-sample window with the winning settings
+ * - Out-of-sample degradation and a parameter-stability heatmap
+ *
+ * A range is a list of values or { min, max, step }. Settings that fail
+ * StrategyConfig.validateConfig are skipped, not run.
+ */
+
+const Optimizer = (() => {
+
+  const OBJECTIVES = {
+    sharpe: { label: 'Sharpe Ratio', score: m => m.sharpeRatio },
+    profit_factor: { label: 'Profit Factor', score: m => m.profitFactor },
+    expectancy: { label: 'Expectancy ($ per trade)', score: m => m.expectancy },
+    net_pnl: { label: 'Net P&L', score: m => m.totalPnL },
+  };
+
+  const DEFAULT_OPTIMIZER_CONFIG = {
+    method: 'grid',            // 'grid', 'random' or 'walk_forward'
+    search: 'grid',            // Search inside each walk-forward window: 'grid' or 'random'
+    objective: 'sharpe',
+    minTrades: 10,             // Runs with fewer trades are not eligible (per window for walk-forward)
+    samples: 30,               // Random search: parameter sets tried
+    seed: 42,
+    holdoutDays: 0,            // Grid/random: last N days left out of the search and used as the out-of-sample test
+    inSampleDays: 30,          // Walk-forward window sizes (trading days)
+    outOfSampleDays: 10,
+    stepDays: null,            // Walk-forward roll (null = outOfSampleDays)
+    heatmap: null,             // [xKey, yKey] for the stability heatmap (null = the first two ranges)
+    backtest: {},              // Backtester config: ticker, numDays, startDate, costs, strategy, strategyConfig
+    ranges: {},                // { key: [values] or { min, max, step } }
+    onProgress: null,          // (done, total) after each backtest
+  };
+
+  // Metrics kept for each run
+  const SUMMARY_KEYS = ['totalTrades', 'winRate', 'totalPnL', 'profitFactor', 'expectancy', 'sharpeRatio', 'maxDrawdownPct', 'totalReturn'];
+
+  function expandRange(range) {
+    if (Array.isArray(range)) return range;
+    const { min, max, step } = range;
+    if (!(step > 0) || max < min) throw new Error(`Invalid range ${JSON.stringify(range)}`);
+    const values = [];
+    for (let i = 0; min + i * step <= max + 1e-9; i++) values.push(parseFloat((min + i * step).toFixed(10)));
+    return values;
+  }
+
+  // Every combination of the ranges
+  function grid(ranges) {
+    return Object.entries(ranges).reduce(
+      (sets, [key, range]) => sets.flatMap(set => expandRange(range).map(value => ({ ...set, [key]: value }))),
+      [{}]
+    );
+  }
+
+  // `count` distinct combinations drawn with a seeded generator (the full grid when it is smaller)
+  function randomSets(ranges, count, seed = 42) {
+    const expanded = Object.entries(ranges).map(([key, range]) => [key, expandRange(range)]);
+    const size = expanded.reduce((n, [, values]) => n * values.length, 1);
+    if (size <= count) return grid(ranges);
+    const rng = MarketData.seededRandom(seed);
+    const seen = new Set();
+    const sets = [];
+    for (let attempt = 0; sets.length < count && attempt < count * 20; attempt++) {
+      const set = Object.fromEntries(expanded.map(([key, values]) => [key, values[Math.floor(rng() * values.length)]]));
+      const id = JSON.stringify(set);
+      if (seen.has(id)) continue;
+      seen.add(id);
+      sets.push(set);
+    }
+    return sets;
+  }
+
+  const finiteMean = values => {
+    const finite = values.filter(Number.isFinite);
+    return finite.length > 0 ? finite.reduce((s, v) => s + v, 0) / finite.length : null;
+  };
+
+  // How much of the in-sample score is lost out of sample (%); null when the in-sample score is not positive
+  function degradation(inSample, outOfSample) {
+    if (!Number.isFinite(inSample) || !Number.isFinite(outOfSample) || inSample <= 0) return null;
+    return parseFloat(((inSample - outOfSample) / inSample * 100).toFixed(1));
+  }
+
+  // Mean score of every combination of x and y, over the other parameters.
+  // results: [{ params, score }]; a cell is null when no run there was eligible
+  function heatmap(results, xKey, yKey = null) {
+    const valuesOf = key => {
+      const seen = new Map();
+      for (const r of results) seen.set(JSON.stringify(r.params[key]), r.params[key]);
+      return [...seen.values()].sort((a, b) => (Array.isArray(a) ? a[0] - b[0] : a - b));
+    };
+    const xValues = valuesOf(xKey);
+    const yValues = yKey ? valuesOf(yKey) : [null];
+    const cells = yValues.map(y => xValues.map(x => {
+      const scores = results
+        .filter(r => JSON.stringify(r.params[xKey]) === JSON.stringify(x)
+          && (!yKey || JSON.stringify(r.params[yKey]) === JSON.stringify(y)))
+        .map(r => r.score)
+        .filter(score => score !== null);
+      const mean = scores.length > 0 ? scores.reduce((s, v) => s + v, 0) / scores.length : null;
+      return mean === null || !Number.isFinite(mean) ? mean : parseFloat(mean.toFixed(2));
+    }));
+    return { xKey, yKey, xValues, yValues, cells };
+  }
+
+  // Optimization stepped one backtest per step(), like Backtester.createRun(), so a caller
+  // (BacktestRunner) can report progress, stop early and read the partial result
+  function createRun(config) {
+    const backtest = { ...Backtester.DEFAULT_BACKTEST_CONFIG, ...(config.backtest || {}) };
+    config = { ...DEFAULT_OPTIMIZER_CONFIG, ...config, backtest };
+    const objective = OBJECTIVES[config.objective];
+    if (!objective) throw new Error(`Unknown objective '${config.objective}' (available: ${Object.keys(OBJECTIVES).join(', ')})`);
+    const keys = Object.keys(config.ranges);
+    if (keys.length === 0) throw new Error('No parameter ranges to optimize');
+
+    const walkForward = config.method === 'walk_forward';
+    const sets = (walkForward ? config.search : config.method) === 'random'
+      ? randomSets(config.ranges, config.samples, config.seed)
+      : grid(config.ranges);
+
+    // Market data is generated once per set of enabled confirmation filters (their context differs)
+    const preparedCache = {};
+    const preparedFor = strategyConfig => {
+      const id = ConfirmationFilters.resolve({ ...ORBStrategy.DEFAULT_CONFIG, ...strategyConfig }).map(f => f.name).join();
+      if (!preparedCache[id]) {
+        preparedCache[id] = Backtester.prepareDays(backtest.ticker, backtest.numDays, backtest.startDate, strategyConfig);
+      }
+      return preparedCache[id];
+    };
+    const numDays = preparedFor(backtest.strategyConfig).days.length;
+
+    // Day windows: [in-sample range, out-of-sample range or null]
+    let windows;
+    if (walkForward) {
+      const step = config.stepDays || config.outOfSampleDays;
+      windows = [];
+      for (let start = 0; start + config.inSampleDays + config.outOfSampleDays <= numDays; start += step) {
+        const split = start + config.inSampleDays;
+        windows.push([[start, split], [split, split + config.outOfSampleDays]]);
+      }
+      if (windows.length === 0) {
+        throw new Error(`Walk-forward needs at least ${config.inSampleDays + config.outOfSampleDays} trading days (have ${numDays})`);
+      }
+    } else {
+      const split = numDays - Math.max(0, Math.min(config.holdoutDays, numDays - 1));
+      windows = [[[0, split], split < numDays ? [split, numDays] : null]];
+    }
+
+    const total = windows.length * sets.length + windows.filter(([, oos]) => oos).length;
+    let done = 0;
+    const progress = () => {
+      done++;
+      if (config.onProgress) config.onProgress(done, total);
+    };
+
+    function evaluate(params, dayRange, minTrades) {
+      const strategyConfig = { ...backtest.strategyConfig, ...params };
+      if (typeof StrategyConfig !== 'undefined') {
+        const check = StrategyConfig.validateConfig({ ...ORBStrategy.DEFAULT_CONFIG, ...strategyConfig });
+        if (!check.valid) {
+          progress();
+          return { params, score: null, metrics: null, invalid: check.errors[0].message };
+        }
+      }
+      const result = Backtester.run({ ...backtest, strategyConfig, optionsConfig: null, dayRange }, preparedFor(strategyConfig));
+      const metrics = Object.fromEntries(SUMMARY_KEYS.map(key => [key, result.metrics[key]]));
+      progress();
+      return { params, score: metrics.totalTrades >= minTrades ? objective.score(metrics) : null, metrics };
+    }
+
+    // Highest score first (Infinity included), ineligible runs last
+    const byScore = (a, b) => (a.score === null) - (b.score === null)
+      || (a.score === b.score ? 0 : b.score > a.score ? 1 : -1);
+
+    // Each window runs every set on its in-sample days, then the winner on its out-of-sample days
+    const windowResults = windows.map(([inSample, outOfSample]) => ({
+      inSample, outOfSample, results: [], best: null, test: null, degradationPct: null, complete: false,
+    }));
+    let windowIndex = 0;
+
+    function step() {
+      const w = windowResults[windowIndex];
+      if (!w) return false;
+      if (w.results.length < sets.length) {
+        w.results.push(evaluate(sets[w.results.length], w.inSample, config.minTrades));
+        if (w.results.length < sets.length) return true;
+        w.results.sort(byScore);
+        w.best = w.results[0].score !== null ? w.results[0] : null;
+        if (w.best && w.outOfSample) return true;
+      } else {
+        w.test = evaluate(w.best.params, w.outOfSample, 0);
+        w.degradationPct = degradation(w.best.score, w.test.score);
+      }
+      w.complete = true;
+      windowIndex++;
+      return true;
+    }
+
+    // The result so far: completed windows only, or the window in progress before the first completes
+    function getResult() {
+      const finished = windowResults.filter(w => w.complete);
+      const ranked = finished.length > 0
+        ? finished
+        : [{ results: [...windowResults[0].results].sort(byScore) }];
+
+      // Each parameter set's in-sample score averaged over the windows
+      const results = sets.map((params, i) => {
+        const runs = ranked.map(w => w.results.find(r => r.params === params));
+        if (runs.some(r => !r)) return null;
+        const scores = runs.map(r => r.score);
+        return {
+          params,
+          score: scores.every(score => score !== null) ? finiteMean(scores) ?? scores[0] : null,
+          metrics: runs.length === 1 ? runs[0].metrics : null,
+          invalid: runs[0].invalid,
+          order: i,
+        };
+      }).filter(Boolean).sort((a, b) => byScore(a, b) || a.order - b.order);
+
+      const tested = windowResults.filter(w => w.test);
+      const inSampleScore = finiteMean(tested.map(w => w.best.score));
+      const outOfSampleScore = finiteMean(tested.map(w => w.test.score));
+      const summary = {
+        inSampleScore: inSampleScore !== null ? parseFloat(inSampleScore.toFixed(2)) : null,
+        outOfSampleScore: outOfSampleScore !== null ? parseFloat(outOfSampleScore.toFixed(2)) : null,
+        degradationPct: degradation(inSampleScore, outOfSampleScore),
+        efficiency: inSampleScore > 0 && outOfSampleScore !== null ? parseFloat((outOfSampleScore / inSampleScore).toFixed(2)) : null,
+        outOfSampleTrades: tested.reduce((s, w) => s + w.test.metrics.totalTrades, 0),
+        outOfSamplePnL: parseFloat(tested.reduce((s, w) => s + w.test.metrics.totalPnL, 0).toFixed(2)),
+        windowsWithoutWinner: finished.filter(w => !w.best).length,
+      };
+
+      // Walk-forward: how often each parameter's winning value repeats across windows
+      const stability = walkForward
+        ? Object.fromEntries(keys.map(key => {
+          const picks = windowResults.filter(w => w.best).map(w => JSON.stringify(w.best.params[key]));
+          const counts = picks.reduce((c, v) => ({ ...c, [v]: (c[v] || 0) + 1 }), {});
+          const [mostCommon, count] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0] || [null, 0];
+          return [key, {
+            picks: picks.map(v => JSON.parse(v)),
+            mostCommon: mostCommon !== null ? JSON.parse(mostCommon) : null,
+            consistency: picks.length > 0 ? parseFloat((count / picks.length * 100).toFixed(0)) : null,
+          }];
+        }))
+        : null;
+
+      const [xKey, yKey = null] = config.heatmap || keys;
+      const lastWinner = [...windowResults].reverse().find(w => w.best);
+
+      return {
+        method: config.method,
+        objective: config.objective,
+        objectiveLabel: objective.label,
+        minTrades: config.minTrades,
+        combinations: sets.length,
+        runs: done,
+        numDays,
+        results,
+        // The settings to trade next: the search winner, or the latest walk-forward window's
+        best: lastWinner ? lastWinner.best.params : null,
+        outOfSample: !walkForward && windowResults[0].test ? windowResults[0].test : null,
+        windows: walkForward
+          ? finished.map(w => ({
+            inSample: w.inSample,
+            outOfSample: w.outOfSample,
+            params: w.best ? w.best.params : null,
+            inSampleScore: w.best ? w.best.score : null,
+            outOfSampleScore: w.test ? w.test.score : null,
+            outOfSampleMetrics: w.test ? w.test.metrics : null,
+            degradationPct: w.degradationPct,
+          }))
+          : null,
+        summary,
+        stability,
+        heatmap: heatmap(results, xKey, yKey),
+        partial: windowIndex < windowResults.length,
+      };
+    }
+
+    return {
+      step,
+      getResult,
+      get progress() { return { done, total: Math.max(done, total), unit: 'backtest' }; },
+    };
+  }
+
+  function run(config) {
+    const optimization = createRun(config);
+    while (optimization.step());
+    return optimization.getResult();
+  }
+
+  return {
+    OBJECTIVES,
+    DEFAULT_OPTIMIZER_CONFIG,
+    expandRange,
+    grid,
+    randomSets,
+    heatmap,
+    createRun,
+    run,
+  };
+})();
+
+if (typeof module !== 'undefined') module.exports = Optimizer;
@@ -0,0 +1,288 @@
+/**
+ * Options Model
+ *
+ * Expresses ORB signals with short-dated calls and puts instead of shares:
+ * - Black-Scholes prices and greeks, with implied volatility derived from
+ *   the ticker's daily volatility in MarketData.STOCK_PROFILES
+ * - Strike chosen by delta or by moneyness; expiry from 0DTE to the weekly
+ * - Each stock trade's entry, add-ons and exits replayed on the contract,
+ *   marked minute by minute with theta decay and bid/ask spreads
+ *
+ * The Backtester uses priceTrade() to compare the stock and options versions
+ * of the same signals.
+ */
+
+const OptionsModel = (() => {
+
+  const DEFAULT_OPTIONS_CONFIG = {
+    expiry: '0dte',                // '0dte', '1dte', '2dte' or 'weekly' (that week's Friday close)
+    strikeSelection: 'delta',      // 'delta' (closest to targetDelta) or 'moneyness' (moneynessPercent from spot)
+    targetDelta: 0.5,              // Absolute delta of the contract bought
+    moneynessPercent: 0,           // % out of the money (negative = in the money)
+    sizing: 'risk',                // 'risk' (premium = the stock trade's dollar risk) or 'delta' (same delta as the shares)
+    ivPremium: 1.2,                // Implied over realized volatility
+    riskFreeRate: 0.05,
+    spreadPercent: 0.03,           // Bid/ask spread as a fraction of the mid price
+    minSpread: 0.02,               // Minimum bid/ask spread ($ per share)
+    commissionPerContract: 0.65,   // Per contract, each side
+    keepMarks: true,               // Keep the minute-by-minute marks on each trade
+  };
+
+  const CONTRACT_SIZE = 100;
+  const MINUTE = 60000;
+  const YEAR = 365 * 24 * 60 * MINUTE;
+
+  // Standard normal CDF (Abramowitz-Stegun 26.2.17)
+  function normCdf(x) {
+    const k = 1 / (1 + 0.2316419 * Math.abs(x));
+    const poly = k * (0.319381530 + k * (-0.356563782 + k * (1.781477937 + k * (-1.821255978 + k * 1.330274429))));
+    const tail = normPdf(x) * poly;
+    return x >= 0 ? 1 - tail : tail;
+  }
+
+  function normPdf(x) {
+    return Math.exp(-x * x / 2) / Math.sqrt(2 * Math.PI);
+  }
+
+  // Black-Scholes price and greeks. type: 'CALL' or 'PUT'; years: time to expiry.
+  // Theta is per calendar day.
+  function blackScholes(type, spot, strike, years, rate, sigma) {
+    const sign = type === 'CALL' ? 1 : -1;
+    if (years <= 0 || sigma <= 0) {
+      const intrinsic = Math.max(sign * (spot - strike), 0);
+      return { price: intrinsic, delta: intrinsic > 0 ? sign : 0, gamma: 0, theta: 0, vega: 0 };
+    }
+    const sqrtT = Math.sqrt(years);
+    const d1 = (Math.log(spot / strike) + (rate + sigma * sigma / 2) * years) / (sigma * sqrtT);
+    const d2 = d1 - sigma * sqrtT;
+    const discount = Math.exp(-rate * years);
+    const price = sign * (spot * normCdf(sign * d1) - strike * discount * normCdf(sign * d2));
+    const theta = (-spot * normPdf(d1) * sigma / (2 * sqrtT) - sign * rate * strike * discount * normCdf(sign * d2)) / 365;
+    return {
+      price: Math.max(price, 0),
+      delta: type === 'CALL' ? normCdf(d1) : normCdf(d1) - 1,
+      gamma: normPdf(d1) / (spot * sigma * sqrtT),
+      theta,
+      vega: spot * normPdf(d1) * sqrtT / 100,
+    };
+  }
+
+  // Annualized implied volatility from the profile's daily volatility
+  function impliedVolatility(ticker, config = {}) {
+    config = { ...DEFAULT_OPTIONS_CONFIG, ...config };
+    const profile = MarketData.STOCK_PROFILES[ticker];
+    const daily = profile ? profile.volatility : 0.02;
+    return daily * Math.sqrt(252) * config.ivPremium;
+  }
+
+  // Listed strike spacing for a price level
+  function strikeIncrement(price) {
+    if (price < 50) return 0.5;
+    if (price < 300) return 1;
+    return 5;
+  }
+
+  // Expiry timestamp: the entry session's close plus N business days
+  function expiryTime(sessionClose, expiry) {
+    const date = new Date(sessionClose);
+    let days = { '0dte': 0, '1dte': 1, '2dte': 2 }[expiry];
+    if (days === undefined) days = Math.max(0, 5 - date.getDay()); // weekly: Friday's close
+    while (days > 0) {
+      date.setDate(date.getDate() + 1);
+      if (date.getDay() !== 0 && date.getDay() !== 6) days--;
+    }
+    return date.getTime();
+  }
+
+  // Pick the contract for a breakout: calls for LONG, puts for SHORT
+  function selectContract(direction, spot, years, sigma, config) {
+    const type = direction === 'LONG' ? 'CALL' : 'PUT';
+    const increment = strikeIncrement(spot);
+    const round = k => Math.round(k / increment) * increment;
+
+    if (config.strikeSelection === 'moneyness') {
+      const otm = (type === 'CALL' ? 1 : -1) * config.moneynessPercent / 100;
+      return { type, strike: round(spot * (1 + otm)) };
+    }
+
+    const atm = round(spot);
+    let best = null;
+    for (let i = -40; i <= 40; i++) {
+      const strike = atm + i * increment;
+      if (strike <= 0) continue;
+      const { delta } = blackScholes(type, spot, strike, years, config.riskFreeRate, sigma);
+      const miss = Math.abs(Math.abs(delta) - config.targetDelta);
+      if (!best || miss < best.miss) best = { strike, miss };
+    }
+    return { type, strike: best.strike };
+  }
+
+  // Bid/ask around a mid price
+  function quote(mid, config) {
+    const half = Math.max(config.minSpread, mid * config.spreadPercent) / 2;
+    return { mid, bid: Math.max(mid - half, 0), ask: mid + half };
+  }
+
+  // Replay a closed stock trade on an options contract.
+  // sessions: the candles of each session the trade spans, entry session first.
+  // context: { ticker, volatility (annualized, default from the ticker profile) }
+  // Returns the options trade, or null when the sizing buys no contracts.
+  function priceTrade(trade, sessions, context = {}, config = {}) {
+    config = { ...DEFAULT_OPTIONS_CONFIG, ...config };
+    const sigma = context.volatility || impliedVolatility(context.ticker, config);
+    const rate = config.riskFreeRate;
+    const entrySession = sessions[0];
+    const sessionClose = entrySession[entrySession.length - 1].time + MINUTE;
+    const expiry = expiryTime(sessionClose, config.expiry);
+    const yearsAt = time => Math.max(expiry - time, MINUTE) / YEAR;
+
+    const { type, strike } = selectContract(trade.direction, trade.entryPrice, yearsAt(trade.entryTime), sigma, config);
+    const value = (spot, time) => blackScholes(type, spot, strike, yearsAt(time), rate, sigma);
+
+    // Size the initial contracts
+    const initialShares = trade.shares - (trade.adds || []).reduce((s, a) => s + a.shares, 0);
+    const entryGreeks = value(trade.entryPrice, trade.entryTime);
+    const entryQuote = quote(entryGreeks.price, config);
+    let contracts;
+    if (config.sizing === 'delta') {
+      contracts = Math.round(initialShares / (CONTRACT_SIZE * Math.max(Math.abs(entryGreeks.delta), 0.01)));
+    } else {
+      const stockRisk = initialShares * Math.abs(trade.entryPrice - trade.stopLoss);
+      contracts = Math.floor(stockRisk / (entryQuote.ask * CONTRACT_SIZE));
+    }
+    if (contracts <= 0) return null;
+    const contractsPerShare = contracts / initialShares;
+
+    const fills = [];
+    let open = 0;
+    let maxOpen = 0;
+    let cash = 0;
+    let spreadCost = 0;
+    let commission = 0;
+    function fill(side, count, spot, time, reason) {
+      if (count <= 0) return;
+      const { price, delta } = value(spot, time);
+      const q = quote(price, config);
+      const fillPrice = side === 'BUY' ? q.ask : q.bid;
+      cash += (side === 'BUY' ? -1 : 1) * fillPrice * count * CONTRACT_SIZE;
+      spreadCost += Math.abs(fillPrice - q.mid) * count * CONTRACT_SIZE;
+      commission += config.commissionPerContract * count;
+      open += side === 'BUY' ? count : -count;
+      maxOpen = Math.max(maxOpen, open);
+      fills.push({
+        time, side, contracts: count, underlying: spot, reason,
+        mid: parseFloat(q.mid.toFixed(2)),
+        price: parseFloat(fillPrice.toFixed(2)),
+        delta: parseFloat(delta.toFixed(3)),
+      });
+    }
+
+    // The stock trade's add-ons and exits, replayed in time order
+    const events = [
+      ...(trade.adds || []).map(a => ({ time: a.time, kind: 'add', price: a.price, shares: a.shares })),
+      ...trade.partialExits.map((e, idx) => ({
+        time: e.time, kind: 'exit', price: e.price, shares: e.shares, last: idx === trade.partialExits.length - 1,
+      })),
+    ].sort((a, b) => a.time - b.time);
+
+    function applyEvent(event) {
+      if (event.kind === 'add') {
+        fill('BUY', Math.round(event.shares * contractsPerShare), event.price, event.time, 'Add-on');
+      } else {
+        const count = event.last ? open : Math.min(open, Math.round(event.shares * contractsPerShare));
+        fill('SELL', count, event.price, event.time, event.last ? 'Exit' : 'Partial Exit');
+      }
+    }
+
+    fill('BUY', contracts, trade.entryPrice, trade.entryTime, 'Entry');
+
+    // Mark the position every minute through the trade
+    const marks = [];
+    let thetaPnL = 0;
+    let mfe = 0;
+    let mae = 0;
+    let expired = false;
+    let lastSpot = trade.entryPrice;
+    let lastTime = trade.entryTime;
+    let eventIdx = 0;
+    const candles = sessions.flat().filter(c => c.time > trade.entryTime && c.time <= trade.exitTime);
+    for (const candle of candles) {
+      if (candle.time >= expiry) break;
+      while (eventIdx < events.length && events[eventIdx].time <= candle.time) applyEvent(events[eventIdx++]);
+      if (open <= 0) break;
+
+      const greeks = value(candle.close, candle.time);
+      thetaPnL += greeks.theta * (candle.time - lastTime) / (24 * 60 * MINUTE) * open * CONTRACT_SIZE;
+      const unrealized = cash + greeks.price * open * CONTRACT_SIZE;
+      mfe = Math.max(mfe, unrealized);
+      mae = Math.min(mae, unrealized);
+      lastSpot = candle.close;
+      lastTime = candle.time;
+      if (config.keepMarks) {
+        marks.push({
+          time: candle.time,
+          underlying: candle.close,
+          mid: parseFloat(greeks.price.toFixed(2)),
+          delta: parseFloat(greeks.delta.toFixed(3)),
+          theta: parseFloat(greeks.theta.toFixed(3)),
+        });
+      }
+    }
+
+    // Held past expiry: the contracts settle at intrinsic value on the last underlying price
+    if (open > 0 && trade.exitTime >= expiry) {
+      const intrinsic = Math.max((type === 'CALL' ? 1 : -1) * (lastSpot - strike), 0);
+      cash += intrinsic * open * CONTRACT_SIZE;
+      fills.push({ time: expiry, side: 'EXPIRE', contracts: open, underlying: lastSpot, reason: 'Expired', mid: intrinsic, price: parseFloat(intrinsic.toFixed(2)), delta: 0 });
+      open = 0;
+      expired = true;
+    }
+    while (eventIdx < events.length && open > 0) applyEvent(events[eventIdx++]);
+
+    const exitFill = fills[fills.length - 1];
+    return {
+      instrument: 'option',
+      type,
+      strike,
+      expiry,
+      expiryLabel: config.expiry,
+      iv: parseFloat(sigma.toFixed(4)),
+      direction: trade.direction,
+      entryTime: trade.entryTime,
+      exitTime: expired ? expiry : trade.exitTime,
+      exitReason: expired ? 'Expired' : trade.exitReason,
+      underlyingEntry: trade.entryPrice,
+      entryPremium: fills[0].price,
+      exitPremium: exitFill.price,
+      entryDelta: fills[0].delta,
+      contracts,
+      maxContracts: maxOpen,
+      premiumPaid: parseFloat(fills.filter(f => f.side === 'BUY').reduce((s, f) => s + f.price * f.contracts * CONTRACT_SIZE, 0).toFixed(2)),
+      fills,
+      marks,
+      totalPnL: parseFloat(cash.toFixed(2)),
+      netPnL: parseFloat((cash - commission).toFixed(2)),
+      thetaPnL: parseFloat(thetaPnL.toFixed(2)),
+      spreadCost: parseFloat(spreadCost.toFixed(2)),
+      commission: parseFloat(commission.toFixed(2)),
+      durationMinutes: trade.durationMinutes,
+      maxFavorableExcursion: parseFloat(mfe.toFixed(2)),
+      maxAdverseExcursion: parseFloat(mae.toFixed(2)),
+      stockTotalPnL: trade.totalPnL,
+    };
+  }
+
+  return {
+    DEFAULT_OPTIONS_CONFIG,
+    CONTRACT_SIZE,
+    normCdf,
+    blackScholes,
+    impliedVolatility,
+    strikeIncrement,
+    expiryTime,
+    selectContract,
+    priceTrade,
+  };
+})();
+
+if (typeof module !== 'undefined') module.exports = OptionsModel;
@@ -11,14 +11,32 @@
  * Configurable parameters:
  * - Opening range period (5, 15, 30 minutes)
  * - Breakout confirmation (close above/below vs wick)
- * - Volume confirmation threshold
+ * - Confirmation filters (volume, VWAP, sentiment, RSI, EMA trend, ...)
  * - Risk/reward targets
  * - Trailing stop options
- * - Max trades per day
+ * - Max trades per day and account risk limits (see RiskManager)
+ *
+ * runDay() evaluates a whole day in batch; createEngine() exposes the same
+ * logic as a stateful engine fed one candle at a time via onCandle().
  */
 
 const ORBStrategy = (() => {
 
+  // Confirmation filter registry: a global in the browser, a module in Node
+  const Filters = typeof ConfirmationFilters !== 'undefined'
+    ? ConfirmationFilters
+    : require('./confirmation-filters');
+
+  // Account-level risk rules, same lookup as the filters
+  const Risk = typeof RiskManager !== 'undefined'
+    ? RiskManager
+    : require('./risk-manager');
+
+  // Borrow table and Rule 201
+  const Shorts = typeof ShortSale !== 'undefined'
+    ? ShortSale
+    : require('./short-sale');
+
   const DEFAULT_CONFIG = {
     openingRangeMinutes: 15,        // First N minutes define the range
     confirmationType: 'close',       // 'close' = candle close above/below, 'wick' = any wick breach
@@ -26,20 +44,72 @@ const ORBStrategy = (() => {
     volumeMultiplier: 1.5,           // Volume must be N x average volume during OR
     vwapConfirmation: true,          // Require VWAP alignment with breakout direction
     sentimentConfirmation: true,     // Require sentiment alignment with breakout direction
-    minConfirmations: 2,             // Minimum confirmations required (out of 3: volume, vwap, sentiment)
+    minConfirmations: 2,             // Minimum weighted score of passing confirmation filters
+    confirmationFilters: {},         // Per-filter overrides, e.g. { rsi: { enabled: true, weight: 1, params: { period: 14 } } }
     riskRewardTargets: [1.5, 2.0, 3.0], // Take profit at Nx range size
-    positionSizing: 'fixed_risk',    // 'fixed_risk' or 'fixed_shares'
+    targetMode: 'range',             // Target distance: 'range' (riskRewardTargets x range), 'atr' (atrTargets x daily ATR), 'percent' (percentTargets % of entry)
+    atrTargets: [0.25, 0.5, 0.75],   // Targets in daily ATR multiples ('atr' mode)
+    percentTargets: [0.5, 1.0, 1.5], // Targets in percent of entry price ('percent' mode)
+    positionSizing: 'fixed_risk',    // 'fixed_risk', 'fixed_shares', 'fixed_notional', 'volatility' (daily ATR target) or 'kelly'
     riskPerTrade: 0.02,              // Risk 2% of account per trade
+    fixedShares: 100,                // Shares per trade ('fixed_shares')
+    fixedNotional: 25000,            // Dollars per trade ('fixed_notional')
+    volatilityTarget: 0.01,          // Daily ATR move of the position as a fraction of account ('volatility')
+    kellyMultiplier: 0.5,            // Fraction of the full Kelly risk to use ('kelly')
+    kellyLookbackTrades: 50,         // Recent trades the Kelly estimate is computed from
+    kellyMinTrades: 20,              // Fewer trades than this sizes with riskPerTrade instead
+    kellyMaxRisk: 0.05,              // Cap on the Kelly risk per trade
+    maxNotionalPerTrade: 0,          // Max position value per trade ($, 0 = off)
+    maxLeverage: 4,                  // Max position value as a multiple of account (4 = intraday margin, 0 = off)
+    pyramiding: false,               // Add to winning trades before the first target
+    pyramidTrigger: 'range',         // 'range' (price reaches pyramidLevels x range from entry) or 'vwap' (closes hold beyond VWAP)
+    pyramidLevels: [0.5, 1.0],       // Add-on levels in range multiples from the initial entry ('range')
+    pyramidVwapBars: 5,              // Consecutive closes beyond VWAP per add-on ('vwap')
+    pyramidMaxAdds: 2,               // Max add-ons per trade
+    pyramidAddFraction: 0.5,         // Each add-on's shares as a fraction of the initial position
+    pyramidStopRule: 'breakeven',    // Stop after an add: 'unchanged', 'breakeven' (average cost) or 'last_add' (previous fill price)
+    pyramidMaxRisk: 0.03,            // Max open risk of the whole position after an add, as a fraction of account
     maxTradesPerDay: 2,              // Maximum trades per day
+    maxDailyLoss: 0,                 // Stop entering for the day after losing this many dollars (0 = off)
+    maxDailyLossPercent: 0,          // ...or this % of the day's starting equity (0 = off)
+    maxConsecutiveLosses: 0,         // Stop for the day after N losing trades in a row (0 = off)
+    drawdownSizeCut: 0,              // Cut position size while equity is this fraction below its peak (0 = off)
+    drawdownSizeMultiplier: 0.5,     // Position size multiplier during the drawdown cut
+    equityMaPeriod: 0,               // Pause when equity opens below its N-day moving average (0 = off)
+    equityPauseDays: 5,              // Sessions to sit out when the equity-curve filter fires
+    accountType: 'none',             // Account rules: 'none', 'margin' (pattern-day-trader rule) or 'cash' (T+1 settled cash, no shorts)
+    pdtFlagged: false,               // Margin account already flagged as a pattern day trader
     trailingStop: true,              // Enable trailing stop
     trailingStopActivation: 1.0,     // Activate trailing after 1x range profit
     trailingStopDistance: 0.5,       // Trail by 0.5x range
+    trailingStopMode: 'range',       // 'range' (x range), 'atr' (x intraday ATR), 'bars' (prior N-bar low/high), 'vwap' (VWAP -/+ stop buffer)
+    trailingAfterTarget: 1,          // With partial profits, trail the runner once this many targets have filled
+    trailingAtrPeriod: 14,           // Bars in the intraday ATR used by 'atr' trailing
+    trailingAtrMultiplier: 2.0,      // Trail by N x ATR in 'atr' mode
+    trailingLookbackBars: 3,         // Bars in the low/high used by 'bars' trailing
     usePartialProfits: true,         // Scale out at targets
     partialProfitPercents: [0.33, 0.33, 0.34], // % of position to close at each target
-    maxHoldingMinutes: 300,          // Max time in trade (5 hours)
+    maxHoldingMinutes: 300,          // Max time in trade (5 hours), within the entry session
+    overnightHold: 'never',          // Hold into the next session: 'never', 'beyond_target' (close beyond target 1), 'trail_intact' (stop at or past break-even) or 'always'
+    maxHoldingDays: 3,               // Max sessions a position is carried overnight
+    reentryAfterStop: 'any',         // Direction allowed after a stop-out: 'any', 'same', 'opposite' or 'none'
+    cooldownMinutes: 0,              // Minutes to wait after an exit before a new entry
+    failedBreakoutReversal: false,   // Reverse when price closes back inside the range soon after entry
+    failedBreakoutMinutes: 10,       // Window after entry in which a close back inside the range is a failed breakout
     avoidFirstMinutes: 0,            // Skip first N minutes after range forms
     stopLossBuffer: 0.10,            // Extra buffer below/above range for stop ($)
+    stopMode: 'range',               // Initial stop: 'range' (opposite edge +/- buffer), 'atr' (stopAtrMultiple x daily ATR from entry), 'percent' (stopPercent % from entry)
+    stopAtrMultiple: 0.25,           // Stop distance in daily ATR multiples ('atr' mode)
+    stopPercent: 1.0,                // Stop distance in percent of entry price ('percent' mode)
+    dailyAtrPeriod: 14,              // Prior daily bars in the daily ATR
+    minRangeAtr: 0,                  // Skip the day when the opening range is below N x daily ATR (0 = off)
+    maxRangeAtr: 0,                  // Skip the day when the opening range is above N x daily ATR (0 = off)
+    narrowRangeDays: 0,              // Only trade after an NR-N day: prior day's range the narrowest of the last N (7 = NR7, 0 = off)
     breakEvenAfterTarget1: true,     // Move stop to break-even after first target hit
+    shortSaleRules: false,           // Borrow availability, borrow/locate fees and Rule 201 (SSR) for shorts
+    ssrThreshold: 0.10,              // Decline from the prior close that triggers SSR
+    borrowTable: {},                 // Per-ticker overrides of ShortSale.BORROW_TABLE: { TSLA: { status, borrowRate, locateFee, maxShares } }
+    fillModel: 'conservative',       // Candle covering stop and target: 'conservative' (stop first), 'optimistic' (target first), 'path' (infer intra-bar path)
   };
 
   // Compute the opening range from candle data
@@ -83,108 +153,604 @@ const ORBStrategy = (() => {
     return Math.floor(riskAmount / riskPerShare);
   }
 
-  // Run ORB strategy on a single day's data
-  // vwapData: optional array of VWAP values per candle (same length as candles)
-  // sentimentScore: optional sentiment score for the day
-  function runDay(candles, config, accountSize, vwapData = null, sentimentScore = 0, options = {}) {
+  // Kelly fraction from a list of trade P&Ls: W - (1 - W) / (avg win / avg loss).
+  // Returns null when there are no winners or no losers to estimate from.
+  function kellyFraction(pnls) {
+    const wins = pnls.filter(p => p > 0);
+    const losses = pnls.filter(p => p <= 0);
+    if (wins.length === 0 || losses.length === 0) return null;
+    const winRate = wins.length / pnls.length;
+    const avgWin = wins.reduce((a, b) => a + b, 0) / wins.length;
+    const avgLoss = Math.abs(losses.reduce((a, b) => a + b, 0) / losses.length);
+    if (avgLoss === 0) return null;
+    return winRate - (1 - winRate) / (avgWin / avgLoss);
+  }
+
+  // Size a position with the configured mode, then apply the notional, leverage,
+  // buying-power and settled-cash caps.
+  // limits: { dailyAtr, tradeHistory (recent P&Ls), buyingPower, settledCash }.
+  // Returns { mode, requestedShares, shares, riskPercent, constraint, detail };
+  // constraint names the cap that reduced (or, with 0 shares, rejected) the size.
+  function sizePosition(config, accountSize, entryPrice, stopPrice, limits = {}) {
+    const { dailyAtr = null, tradeHistory = [], buyingPower = Infinity, settledCash = Infinity } = limits;
+    let mode = config.positionSizing;
+    let riskPercent = config.riskPerTrade;
+    let shares;
+    let detail = null;
+
+    switch (mode) {
+      case 'fixed_shares':
+        shares = config.fixedShares;
+        break;
+      case 'fixed_notional':
+        shares = Math.floor(config.fixedNotional / entryPrice);
+        break;
+      case 'volatility':
+        if (dailyAtr) {
+          shares = Math.floor(accountSize * config.volatilityTarget / dailyAtr);
+          break;
+        }
+        // No daily ATR history: size by risk
+        mode = 'fixed_risk';
+        shares = calculatePositionSize(accountSize, riskPercent, entryPrice, stopPrice);
+        break;
+      case 'kelly': {
+        const recent = tradeHistory.slice(-config.kellyLookbackTrades);
+        const kelly = recent.length >= config.kellyMinTrades ? kellyFraction(recent) : null;
+        if (kelly === null) {
+          mode = 'fixed_risk';
+        } else {
+          riskPercent = Math.min(Math.max(kelly * config.kellyMultiplier, 0), config.kellyMaxRisk);
+          if (riskPercent === 0) detail = `Kelly fraction ${kelly.toFixed(3)} has no edge`;
+        }
+        shares = calculatePositionSize(accountSize, riskPercent, entryPrice, stopPrice);
+        break;
+      }
+      default:
+        mode = 'fixed_risk';
+        shares = calculatePositionSize(accountSize, riskPercent, entryPrice, stopPrice);
+    }
+
+    const caps = [];
+    if (config.maxNotionalPerTrade > 0) {
+      caps.push({ constraint: 'max_notional', limit: config.maxNotionalPerTrade, label: `max notional $${config.maxNotionalPerTrade}` });
+    }
+    if (config.maxLeverage > 0) {
+      caps.push({ constraint: 'leverage', limit: accountSize * config.maxLeverage, label: `${config.maxLeverage}x leverage limit` });
+    }
+    if (buyingPower < Infinity) {
+      caps.push({ constraint: 'buying_power', limit: buyingPower, label: `buying power $${Math.round(buyingPower)}` });
+    }
+    if (settledCash < Infinity) {
+      caps.push({ constraint: 'settled_cash', limit: settledCash, label: `settled cash $${Math.round(settledCash)}` });
+    }
+
+    const requestedShares = Math.max(shares, 0);
+    let constraint = null;
+    shares = requestedShares;
+    for (const cap of caps) {
+      const maxShares = Math.floor(Math.max(cap.limit, 0) / entryPrice);
+      if (shares > maxShares) {
+        shares = maxShares;
+        constraint = cap.constraint;
+        detail = maxShares > 0
+          ? `${requestedShares} shares reduced to ${maxShares} by ${cap.label}`
+          : `${requestedShares} shares rejected by ${cap.label}`;
+      }
+    }
+
+    return { mode, requestedShares, shares, riskPercent, constraint, detail };
+  }
+
+  // Average true range over the last `period` bars (simple average)
+  function averageTrueRange(bars, period = 14) {
+    if (!bars || bars.length === 0) return 0;
+    let sum = 0;
+    let count = 0;
+    for (let i = Math.max(0, bars.length - period); i < bars.length; i++) {
+      const b = bars[i];
+      const prev = bars[i - 1];
+      sum += prev
+        ? Math.max(b.high - b.low, Math.abs(b.high - prev.close), Math.abs(b.low - prev.close))
+        : b.high - b.low;
+      count++;
+    }
+    return sum / count;
+  }
+
+  // Daily bars (open/high/low/close) from prior sessions of 1-minute candles
+  function dailyBarsFromSessions(sessions) {
+    return sessions.filter(s => s && s.length > 0).map(s => ({
+      time: s[0].time,
+      open: s[0].open,
+      high: Math.max(...s.map(c => c.high)),
+      low: Math.min(...s.map(c => c.low)),
+      close: s[s.length - 1].close,
+    }));
+  }
+
+  // Prior daily bars for a day context: context.dailyBars, or built from context.priorSessions
+  function priorDailyBars(context) {
+    return context.dailyBars || dailyBarsFromSessions(context.priorSessions || []);
+  }
+
+  // Profit target multiples for the configured target mode
+  function targetLevelsFor(config, targetMode) {
+    if (targetMode === 'atr') return config.atrTargets;
+    if (targetMode === 'percent') return config.percentTargets;
+    return config.riskRewardTargets;
+  }
+
+  // NR-N: the last bar's range is the narrowest of the last n bars
+  function isNarrowRangeDay(bars, n) {
+    const recent = bars.slice(-n);
+    const last = recent[recent.length - 1];
+    return recent.every(b => last.high - last.low <= b.high - b.low);
+  }
+
+  // Human-readable list of the exit rules a config actually activates
+  function describeExitLogic(config) {
     config = { ...DEFAULT_CONFIG, ...config };
-    const { closeOpenTradeAtEnd = true } = options;
-    const or = computeOpeningRange(candles, config);
-    if (!or) return { trades: [], openingRange: null, signals: [] };
+    const stop = {
+      atr: `Stop loss ${config.stopAtrMultiple}x daily ATR from entry`,
+      percent: `Stop loss ${config.stopPercent}% from entry`,
+    }[config.stopMode] || `Stop loss at opposite end of range (±$${config.stopLossBuffer.toFixed(2)} buffer)`;
+    const rules = [stop];
+
+    if (config.usePartialProfits) {
+      const unit = { atr: 'x daily ATR', percent: '% of entry' }[config.targetMode] || 'x range size';
+      const targets = targetLevelsFor(config, config.targetMode).map((t, i) =>
+        `${t}${unit} (${Math.round((config.partialProfitPercents[i] || 0) * 100)}%)`);
+      rules.push(`Scale out at ${targets.join(', ')}`);
+      if (config.breakEvenAfterTarget1) rules.push('Move stop to break-even after target 1');
+    } else {
+      rules.push('No profit targets: full position held until stopped out, max time or end of day');
+    }
+
+    if (config.trailingStop) {
+      const trail = {
+        atr: `${config.trailingAtrMultiplier}x the ${config.trailingAtrPeriod}-bar ATR`,
+        bars: `the low (long) / high (short) of the prior ${config.trailingLookbackBars} bars`,
+        vwap: `VWAP ±$${config.stopLossBuffer.toFixed(2)}`,
+      }[config.trailingStopMode] || `${config.trailingStopDistance}x range`;
+      const start = config.usePartialProfits
+        ? `the runner after target ${config.trailingAfterTarget}`
+        : `after ${config.trailingStopActivation}x range profit`;
+      rules.push(`Trail ${start} by ${trail}`);
+    }
+
+    if (config.pyramiding) {
+      const stop = {
+        breakeven: 'the average cost',
+        last_add: 'the previous fill price',
+      }[config.pyramidStopRule];
+      rules.push(stop ? `After each add-on, move the stop to ${stop}` : 'Add-ons keep the current stop');
+    }
+
+    rules.push(`Exit after ${config.maxHoldingMinutes} minutes in trade`);
+    const overnight = {
+      beyond_target: 'the session closes beyond target 1',
+      trail_intact: 'the stop is at break-even or better',
+      always: 'the stop has not been hit',
+    }[config.overnightHold];
+    rules.push(overnight
+      ? `Hold overnight (up to ${config.maxHoldingDays} nights) if ${overnight}; otherwise close at end of day`
+      : 'Close any open position at end of day');
+    return rules;
+  }
 
+  // Infer the order prices were visited within a bar: bullish bars are assumed
+  // to trade open -> low -> high -> close, bearish bars open -> high -> low -> close
+  function intraBarPath(bar) {
+    return bar.close >= bar.open
+      ? [bar.open, bar.low, bar.high, bar.close]
+      : [bar.open, bar.high, bar.low, bar.close];
+  }
+
+  // Create a stateful ORB engine that processes one candle at a time.
+  // Feeding a day's candles through onCandle() produces exactly the same trades
+  // and signals as runDay(), without recomputing the whole day on every bar.
+  // options.sentimentScore: optional sentiment score for the day
+  // options.context: optional day context for confirmation filters and the daily ATR
+  //   (priorSessions or dailyBars, avgDailyVolume, marketCandles, preMarketCandles)
+  // options.trackRejected: follow rejected breakouts as hypothetical trades
+  // options.buyingPower: buying power available to new positions (default unlimited)
+  // options.carryTrade: a position held overnight from the previous session (see holdOvernight)
+  // options.deferEntries: leave entries that pass every check, reversals included, in pendingEntry for the caller
+  //   to acceptEntry() or rejectEntry(), e.g. a portfolio ranking breakouts across tickers
+  // options.riskManager: a RiskManager shared across sessions (daily loss, losing streak,
+  //   drawdown size cut, equity-curve pause, account type); without one the engine applies the rules to this day
+  // options.entryPlan: [{ minute, direction }] fixed entries that replace the breakout signals, with
+  //   the same sizing, stops and exits (random-entry baselines, see Significance)
+  // context.tradeHistory: recent trade P&Ls for Kelly sizing
+  // context.ticker, context.prevClose: borrow terms and the SSR trigger when shortSaleRules is on
+  function createEngine(config, accountSize, options = {}) {
+    config = { ...DEFAULT_CONFIG, ...config };
+    const {
+      sentimentScore = 0, context = {}, trackRejected = false, carryTrade = null, deferEntries = false, entryPlan = null,
+    } = options;
+    let { buyingPower = Infinity } = options;
+    const filters = Filters.resolve(config);
+
+    // A multi-day run passes its risk manager; a single day gets its own
+    let risk = options.riskManager;
+    if (!risk) {
+      risk = Risk.create(config, accountSize);
+      risk.startDay({ equity: accountSize });
+    }
+    const riskEventsStart = risk.events.length;
+
+    const candles = [];
     const signals = [];
     const trades = [];
-    let activeTrade = null;
+    let or = null;
+    let activeTrade = carryTrade ? { ...carryTrade, overnight: [...carryTrade.overnight] } : null;
     let tradesCount = 0;
+    let lastExit = null;
+    let rejectedEpisode = null;
+    let pendingEntry = null;
+    let planIdx = 0;
+    const shadowTrades = [];
+    const rejectedTrades = [];
 
     // Process candles after opening range
     const startIdx = config.openingRangeMinutes + config.avoidFirstMinutes;
 
-    for (let i = startIdx; i < candles.length; i++) {
-      const candle = candles[i];
-      const minutesInTrade = activeTrade ? (candle.time - activeTrade.entryTime) / 60000 : 0;
+    // Daily ATR from prior sessions; ATR stops and targets fall back to the range without it
+    const dailyBars = priorDailyBars(context);
+    const dailyAtr = dailyBars.length > 0 ? averageTrueRange(dailyBars, config.dailyAtrPeriod) : null;
+    const stopMode = config.stopMode === 'atr' && !dailyAtr ? 'range' : config.stopMode;
+    const targetMode = config.targetMode === 'atr' && !dailyAtr ? 'range' : config.targetMode;
+    const targetLevels = targetLevelsFor(config, targetMode);
+    let dayFilter = null;
 
-      // Check for exit conditions on active trade
-      if (activeTrade) {
-        const trade = activeTrade;
-        let exitPrice = null;
-        let exitReason = '';
+    // Short-sale rules: borrow terms for the ticker and Rule 201, which carries over from yesterday
+    const borrow = config.shortSaleRules ? Shorts.borrowFor(context.ticker, config.borrowTable) : null;
+    const prevClose = context.prevClose ?? (dailyBars.length > 0 ? dailyBars[dailyBars.length - 1].close : null);
+    let ssr = config.shortSaleRules && Shorts.ssrCarriesOver(dailyBars, config.ssrThreshold)
+      ? { carriedOver: true, time: null, price: null }
+      : null;
 
-        // Check stop loss
+    // Target prices for a new entry; stored on the trade so they survive overnight
+    function targetPrices(direction, entryPrice) {
+      return targetLevels.map(level => {
+        const distance = {
+          atr: () => dailyAtr * level,
+          percent: () => entryPrice * level / 100,
+        }[targetMode] || (() => or.rangeSize * level);
+        return direction === 'LONG' ? entryPrice + distance() : entryPrice - distance();
+      });
+    }
+
+    function targetPriceFor(trade, t) {
+      return trade.targets[t];
+    }
+
+    // Initial stop for a new entry
+    function initialStop(direction, entryPrice) {
+      const dir = direction === 'LONG' ? 1 : -1;
+      if (stopMode === 'atr') return entryPrice - dir * dailyAtr * config.stopAtrMultiple;
+      if (stopMode === 'percent') return entryPrice - dir * entryPrice * config.stopPercent / 100;
+      return dir === 1 ? or.low - config.stopLossBuffer : or.high + config.stopLossBuffer;
+    }
+
+    // Day filters on the opening range against daily volatility; returns a blocker or null
+    function checkDayFilter() {
+      if (dailyAtr) {
+        const ratio = or.rangeSize / dailyAtr;
+        if (config.minRangeAtr > 0 && ratio < config.minRangeAtr) {
+          return { reason: 'range_filter', detail: `Opening range ${ratio.toFixed(2)}x ATR below minimum ${config.minRangeAtr}x` };
+        }
+        if (config.maxRangeAtr > 0 && ratio > config.maxRangeAtr) {
+          return { reason: 'range_filter', detail: `Opening range ${ratio.toFixed(2)}x ATR above maximum ${config.maxRangeAtr}x` };
+        }
+      }
+      if (config.narrowRangeDays > 0 && dailyBars.length >= config.narrowRangeDays &&
+          !isNarrowRangeDay(dailyBars, config.narrowRangeDays)) {
+        return { reason: 'range_filter', detail: `Prior day is not an NR${config.narrowRangeDays} day` };
+      }
+      return null;
+    }
+
+    // Decide the order of stop and target fills within one candle.
+    // maxTargets caps how many targets may fill in this bar; stopAfterTargets
+    // means the stop is still hit later in the bar, after those targets.
+    function resolveFill(trade, candle) {
+      const dir = trade.direction === 'LONG' ? 1 : -1;
+      const stopTouched = dir === 1 ? candle.low <= trade.currentStop : candle.high >= trade.currentStop;
+      const targetTouched = config.usePartialProfits &&
+        trade.nextTargetIdx < targetLevels.length &&
+        (dir === 1 ? candle.high : candle.low) * dir >= targetPriceFor(trade, trade.nextTargetIdx) * dir;
+
+      if (!stopTouched || !targetTouched) {
+        return { rule: 'unambiguous', targetsFirst: false, maxTargets: Infinity, stopAfterTargets: false };
+      }
+      // The stop still fills later in the bar, at its level after the targets (e.g. break-even)
+      if (config.fillModel === 'optimistic') {
+        return { rule: 'optimistic', targetsFirst: true, maxTargets: Infinity, stopAfterTargets: true };
+      }
+      if (config.fillModel !== 'path') {
+        return { rule: 'conservative', targetsFirst: false, maxTargets: Infinity, stopAfterTargets: false };
+      }
+
+      // Walk the inferred price path, from finer bars when the candle carries them
+      const finer = Array.isArray(candle.subBars) && candle.subBars.length > 0;
+      const path = (finer ? candle.subBars : [candle]).flatMap(intraBarPath);
+      const rule = finer ? 'path_bars' : 'path_ohlc';
+      let stop = trade.currentStop;
+      let t = trade.nextTargetIdx;
+      let targetsHit = 0;
+
+      if ((path[0] - stop) * dir <= 0) {
+        return { rule, targetsFirst: false, maxTargets: Infinity, stopAfterTargets: false };
+      }
+      for (let k = 1; k < path.length; k++) {
+        if ((path[k] - path[k - 1]) * dir > 0) {
+          while (t < targetLevels.length && (path[k] - targetPriceFor(trade, t)) * dir >= 0) {
+            if (t === 0 && config.breakEvenAfterTarget1) stop = trade.avgCost;
+            targetsHit++;
+            t++;
+          }
+        } else if ((path[k] - stop) * dir <= 0) {
+          return targetsHit === 0
+            ? { rule, targetsFirst: false, maxTargets: Infinity, stopAfterTargets: false }
+            : { rule, targetsFirst: true, maxTargets: targetsHit, stopAfterTargets: true };
+        }
+      }
+      return { rule, targetsFirst: true, maxTargets: targetsHit, stopAfterTargets: false };
+    }
+
+    // Candidate trailing stop for this candle, or null when the mode has no level yet
+    function trailingStopLevel(trade, candle, vwap) {
+      const dir = trade.direction === 'LONG' ? 1 : -1;
+      const extreme = dir === 1 ? candle.high : candle.low;
+
+      switch (config.trailingStopMode) {
+        case 'atr': {
+          const atr = averageTrueRange(candles, config.trailingAtrPeriod);
+          return atr > 0 ? extreme - dir * atr * config.trailingAtrMultiplier : null;
+        }
+        case 'bars': {
+          // Prior N bars only: a level set by this bar's own low (high) was already touched within it
+          const recent = candles.slice(-config.trailingLookbackBars - 1, -1);
+          if (recent.length === 0) return null;
+          return dir === 1
+            ? Math.min(...recent.map(c => c.low))
+            : Math.max(...recent.map(c => c.high));
+        }
+        case 'vwap':
+          return vwap === null || vwap === undefined ? null : vwap - dir * config.stopLossBuffer;
+        default:
+          return extreme - dir * trade.range.rangeSize * config.trailingStopDistance;
+      }
+    }
+
+    // Whether the latest candle closed above the one before it (Rule 201 lets shorts fill only then)
+    function isUptick(candle) {
+      const prev = candles[candles.length - 2];
+      return prev !== undefined && candle.close > prev.close;
+    }
+
+    // Rules that block a short entry at this candle, or null
+    function shortSaleBlocker(candle) {
+      if (!config.shortSaleRules) return null;
+      if (borrow.status === 'unavailable') {
+        return { reason: 'no_borrow', detail: `No shares available to borrow${context.ticker ? ` for ${context.ticker}` : ''}` };
+      }
+      if (ssr && !isUptick(candle)) {
+        return { reason: 'ssr', detail: 'Rule 201 short-sale restriction: shorts fill only on an uptick' };
+      }
+      return null;
+    }
+
+    function sizeFor(entryPrice, stopPrice, direction) {
+      const sizing = sizePosition(config, accountSize, entryPrice, stopPrice, {
+        dailyAtr,
+        tradeHistory: context.tradeHistory || [],
+        buyingPower,
+        settledCash: risk.settledCash,
+      });
+      // Drawdown size cut from the risk manager
+      const multiplier = risk.sizeMultiplier;
+      if (multiplier < 1) {
+        const shares = Math.floor(sizing.shares * multiplier);
+        sizing.riskMultiplier = multiplier;
+        sizing.detail = [sizing.detail, `${sizing.shares} shares cut to ${shares} by the drawdown size cut`].filter(Boolean).join('; ');
+        sizing.requestedShares = Math.floor(sizing.requestedShares * multiplier);
+        sizing.shares = shares;
+      }
+      // Shares available to borrow
+      if (direction === 'SHORT' && borrow && borrow.maxShares > 0 && sizing.shares > borrow.maxShares) {
+        sizing.detail = [sizing.detail, `${sizing.shares} shares cut to ${borrow.maxShares} available to borrow`].filter(Boolean).join('; ');
+        sizing.constraint = 'borrow';
+        sizing.shares = borrow.maxShares;
+      }
+      return sizing;
+    }
+
+    // Rejection for an entry sized to zero shares; running out of settled cash is an account rule
+    function sizingBlocker(sizing) {
+      return {
+        reason: sizing.constraint === 'settled_cash' ? 'settled_cash' : 'sizing',
+        detail: sizing.detail || 'Position size is zero',
+      };
+    }
+
+    // Build a new trade sized from the entry and stop, or null when no shares can be bought.
+    // ignoreCaps sizes hypothetical trades that the caps themselves rejected.
+    function buildTrade(direction, candle, entryPrice, stopPrice, confirmations, setup, ignoreCaps = false) {
+      const sizing = sizeFor(entryPrice, stopPrice, direction);
+      const shares = ignoreCaps ? sizing.requestedShares : sizing.shares;
+      if (shares <= 0) return null;
+
+      const price = parseFloat(entryPrice.toFixed(2));
+      return {
+        direction,
+        entryPrice: price,
+        entryTime: candle.time,
+        entryMinute: Math.round((candle.time - candles[0].time) / 60000), // Minutes after the session's first candle
+        sentimentScore,
+        stopLoss: parseFloat(stopPrice.toFixed(2)),
+        currentStop: parseFloat(stopPrice.toFixed(2)),
+        shares,
+        remainingShares: shares,
+        partialExits: [],
+        nextTargetIdx: 0,
+        mfe: 0,
+        mae: 0,
+        confirmations,
+        setup,
+        fillRule: 'unambiguous',
+        ambiguousBars: 0,
+        sizing,
+        avgCost: price,
+        adds: [],
+        vwapHoldBars: 0,
+        range: { high: or.high, low: or.low, rangeSize: or.rangeSize },
+        targets: targetPrices(direction, price),
+        sessionsHeld: 0,
+        overnight: [],
+        overnightPnL: 0,
+        borrow: direction === 'SHORT' ? borrow : null,
+        ssrFill: direction === 'SHORT' && ssr !== null,
+      };
+    }
+
+    // Open a new trade and emit its ENTRY signal.
+    // setup tags the entry: 'breakout', 'reentry' (after a stop-out), 'reversal' (failed breakout) or 'planned' (entryPlan)
+    function openTrade(direction, candle, entryPrice, stopPrice, confirmations, setup, reason) {
+      const trade = buildTrade(direction, candle, entryPrice, stopPrice, confirmations, setup);
+      if (!trade) return;
+
+      activeTrade = trade;
+      tradesCount++;
+      rejectedEpisode = null;
+      risk.recordEntry(trade);
+
+      signals.push({
+        time: candle.time,
+        type: 'ENTRY',
+        direction,
+        price: entryPrice,
+        stop: stopPrice,
+        shares: trade.shares,
+        reason,
+        confirmations,
+        setup,
+        sizing: trade.sizing.detail,
+      });
+    }
+
+    // Apply one candle to an open trade: stops, max time, failed breakout,
+    // targets and trailing. Emits PARTIAL_EXIT/EXIT signals through emit().
+    // Returns { closed, reverse }; reverse is set for failed-breakout exits.
+    function stepTrade(trade, candle, vwap, emit) {
+      const minutesInTrade = (candle.time - trade.entryTime) / 60000;
+      let exitPrice = null;
+      let exitReason = '';
+
+      // Resolve candles whose range covers both the stop and the next target
+      const fill = resolveFill(trade, candle);
+      if (fill.rule !== 'unambiguous') {
+        trade.fillRule = fill.rule;
+        trade.ambiguousBars++;
+      }
+
+      // Check stop loss (after targets only when the fill model puts them first).
+      // A bar that opens through the stop, e.g. after an overnight gap, fills at the open.
+      if (!fill.targetsFirst) {
         if (trade.direction === 'LONG') {
           if (candle.low <= trade.currentStop) {
-            exitPrice = trade.currentStop;
+            exitPrice = Math.min(candle.open, trade.currentStop);
             exitReason = 'Stop Loss';
           }
         } else {
           if (candle.high >= trade.currentStop) {
-            exitPrice = trade.currentStop;
+            exitPrice = Math.max(candle.open, trade.currentStop);
             exitReason = 'Stop Loss';
           }
         }
+      }
 
-        // Check max holding time
-        if (!exitPrice && minutesInTrade >= config.maxHoldingMinutes) {
-          exitPrice = candle.close;
-          exitReason = 'Max Time';
-        }
+      // Check max holding time (entry session only; carried positions run to maxHoldingDays)
+      if (!exitPrice && trade.sessionsHeld === 0 && minutesInTrade >= config.maxHoldingMinutes) {
+        exitPrice = candle.close;
+        exitReason = 'Max Time';
+      }
+
+      // Failed breakout: price closes back inside the range soon after entry
+      let reverse = false;
+      if (!exitPrice && config.failedBreakoutReversal && trade.setup !== 'reversal' &&
+          minutesInTrade <= config.failedBreakoutMinutes &&
+          (trade.direction === 'LONG' ? candle.close < trade.range.high : candle.close > trade.range.low)) {
+        exitPrice = candle.close;
+        exitReason = 'Failed Breakout';
+        reverse = true;
+      }
+
+      // Check partial profit targets
+      if (!exitPrice && config.usePartialProfits) {
+        let targetsFilled = 0;
+        for (let t = trade.nextTargetIdx; t < targetLevels.length; t++) {
+          if (targetsFilled >= fill.maxTargets) break;
+          const targetPrice = targetPriceFor(trade, t);
+
+          if ((trade.direction === 'LONG' && candle.high >= targetPrice) ||
+              (trade.direction === 'SHORT' && candle.low <= targetPrice)) {
+            targetsFilled++;
+
+            const partialPct = config.partialProfitPercents[t] || 0;
+            const sharesToClose = Math.floor(trade.remainingShares * partialPct /
+              (config.partialProfitPercents.slice(t).reduce((a, b) => a + b, 0) || 1));
 
-        // Check partial profit targets
-        if (!exitPrice && config.usePartialProfits) {
-          for (let t = trade.nextTargetIdx; t < config.riskRewardTargets.length; t++) {
-            const targetMultiple = config.riskRewardTargets[t];
-            const targetPrice = trade.direction === 'LONG'
-              ? trade.entryPrice + or.rangeSize * targetMultiple
-              : trade.entryPrice - or.rangeSize * targetMultiple;
-
-            if ((trade.direction === 'LONG' && candle.high >= targetPrice) ||
-                (trade.direction === 'SHORT' && candle.low <= targetPrice)) {
-
-              const partialPct = config.partialProfitPercents[t] || 0;
-              const sharesToClose = Math.floor(trade.remainingShares * partialPct /
-                (config.partialProfitPercents.slice(t).reduce((a, b) => a + b, 0) || 1));
-
-              if (sharesToClose > 0) {
-                trade.partialExits.push({
-                  time: candle.time,
-                  price: parseFloat(targetPrice.toFixed(2)),
-                  shares: sharesToClose,
-                  target: t + 1,
-                  pnl: parseFloat(((trade.direction === 'LONG' ? 1 : -1) *
-                    (targetPrice - trade.entryPrice) * sharesToClose).toFixed(2)),
-                });
-                trade.remainingShares -= sharesToClose;
-                trade.nextTargetIdx = t + 1;
-
-                signals.push({
-                  time: candle.time,
-                  type: 'PARTIAL_EXIT',
-                  price: targetPrice,
-                  target: t + 1,
-                  shares: sharesToClose,
-                });
-
-                // Move stop to break-even after first target
-                if (t === 0 && config.breakEvenAfterTarget1) {
-                  trade.currentStop = trade.entryPrice;
-                }
+            if (sharesToClose > 0) {
+              trade.partialExits.push({
+                time: candle.time,
+                price: parseFloat(targetPrice.toFixed(2)),
+                shares: sharesToClose,
+                target: t + 1,
+                pnl: parseFloat(((trade.direction === 'LONG' ? 1 : -1) *
+                  (targetPrice - trade.avgCost) * sharesToClose).toFixed(2)),
+              });
+              trade.remainingShares -= sharesToClose;
+              trade.nextTargetIdx = t + 1;
+
+              emit({
+                time: candle.time,
+                type: 'PARTIAL_EXIT',
+                price: targetPrice,
+                target: t + 1,
+                shares: sharesToClose,
+              });
+
+              // Move stop to break-even after first target
+              if (t === 0 && config.breakEvenAfterTarget1) {
+                trade.currentStop = trade.avgCost;
               }
             }
           }
         }
+      }
 
-        // Trailing stop update
-        if (!exitPrice && config.trailingStop && !config.usePartialProfits) {
-          const profitMultiple = trade.direction === 'LONG'
-            ? (candle.high - trade.entryPrice) / or.rangeSize
-            : (trade.entryPrice - candle.low) / or.rangeSize;
+      // Stop reached later in the same bar, after the targets filled
+      if (!exitPrice && fill.stopAfterTargets && trade.remainingShares > 0 &&
+          (trade.direction === 'LONG' ? candle.low <= trade.currentStop : candle.high >= trade.currentStop)) {
+        exitPrice = trade.currentStop;
+        exitReason = 'Stop Loss';
+      }
 
-          if (profitMultiple >= config.trailingStopActivation) {
-            const trailDistance = or.rangeSize * config.trailingStopDistance;
-            const newStop = trade.direction === 'LONG'
-              ? candle.high - trailDistance
-              : candle.low + trailDistance;
+      // Trailing stop update. With partial profits, only the runner left after
+      // the configured target trails.
+      if (!exitPrice && config.trailingStop && trade.remainingShares > 0) {
+        const profitMultiple = trade.direction === 'LONG'
+          ? (candle.high - trade.entryPrice) / trade.range.rangeSize
+          : (trade.entryPrice - candle.low) / trade.range.rangeSize;
+        const runnerReady = !config.usePartialProfits || trade.nextTargetIdx >= config.trailingAfterTarget;
 
+        if (runnerReady && profitMultiple >= config.trailingStopActivation) {
+          const newStop = trailingStopLevel(trade, candle, vwap);
+
+          if (newStop !== null) {
             if (trade.direction === 'LONG' && newStop > trade.currentStop) {
               trade.currentStop = parseFloat(newStop.toFixed(2));
             } else if (trade.direction === 'SHORT' && newStop < trade.currentStop) {
@@ -192,56 +758,271 @@ const ORBStrategy = (() => {
             }
           }
         }
+      }
 
-        // Close remaining position
-        if (exitPrice || trade.remainingShares <= 0) {
-          if (trade.remainingShares > 0 && exitPrice) {
-            trade.partialExits.push({
-              time: candle.time,
-              price: parseFloat(exitPrice.toFixed(2)),
-              shares: trade.remainingShares,
-              target: -1,
-              pnl: parseFloat(((trade.direction === 'LONG' ? 1 : -1) *
-                (exitPrice - trade.entryPrice) * trade.remainingShares).toFixed(2)),
-            });
-            trade.remainingShares = 0;
-          }
+      // Pyramid into the trade while it works, before any scale-out
+      if (!exitPrice && config.pyramiding && trade.remainingShares > 0 && trade.nextTargetIdx === 0) {
+        addToTrade(trade, candle, vwap, emit);
+      }
 
-          trade.exitTime = candle.time;
-          trade.exitReason = exitReason || 'Targets Hit';
-          trade.totalPnL = parseFloat(
-            trade.partialExits.reduce((sum, pe) => sum + pe.pnl, 0).toFixed(2)
-          );
-          trade.durationMinutes = Math.round((candle.time - trade.entryTime) / 60000);
-          trade.maxFavorableExcursion = trade.mfe;
-          trade.maxAdverseExcursion = trade.mae;
-          trades.push({ ...trade });
-          activeTrade = null;
-
-          signals.push({
+      // Close remaining position
+      if (exitPrice || trade.remainingShares <= 0) {
+        if (trade.remainingShares > 0 && exitPrice) {
+          trade.partialExits.push({
             time: candle.time,
-            type: 'EXIT',
-            direction: trade.direction,
-            price: exitPrice || candle.close,
-            reason: trade.exitReason,
-            pnl: trade.totalPnL,
+            price: parseFloat(exitPrice.toFixed(2)),
+            shares: trade.remainingShares,
+            target: -1,
+            pnl: parseFloat(((trade.direction === 'LONG' ? 1 : -1) *
+              (exitPrice - trade.avgCost) * trade.remainingShares).toFixed(2)),
           });
-        } else {
-          // Track MFE/MAE
-          if (trade.direction === 'LONG') {
-            trade.mfe = Math.max(trade.mfe || 0, candle.high - trade.entryPrice);
-            trade.mae = Math.max(trade.mae || 0, trade.entryPrice - candle.low);
-          } else {
-            trade.mfe = Math.max(trade.mfe || 0, trade.entryPrice - candle.low);
-            trade.mae = Math.max(trade.mae || 0, candle.high - trade.entryPrice);
+          trade.remainingShares = 0;
+        }
+
+        trade.exitTime = candle.time;
+        trade.exitReason = exitReason || 'Targets Hit';
+        trade.totalPnL = parseFloat(
+          trade.partialExits.reduce((sum, pe) => sum + pe.pnl, 0).toFixed(2)
+        );
+        trade.durationMinutes = Math.round((candle.time - trade.entryTime) / 60000);
+        trade.maxFavorableExcursion = trade.mfe;
+        trade.maxAdverseExcursion = trade.mae;
+
+        emit({
+          time: candle.time,
+          type: 'EXIT',
+          direction: trade.direction,
+          price: exitPrice || candle.close,
+          reason: trade.exitReason,
+          pnl: trade.totalPnL,
+        });
+        return { closed: true, reverse };
+      }
+
+      // Track MFE/MAE
+      if (trade.direction === 'LONG') {
+        trade.mfe = Math.max(trade.mfe || 0, candle.high - trade.avgCost);
+        trade.mae = Math.max(trade.mae || 0, trade.avgCost - candle.low);
+      } else {
+        trade.mfe = Math.max(trade.mfe || 0, trade.avgCost - candle.low);
+        trade.mae = Math.max(trade.mae || 0, candle.high - trade.avgCost);
+      }
+      return { closed: false, reverse: false };
+    }
+
+    // Add-on entry for a winning trade when the next pyramid trigger is met. The add is
+    // sized from pyramidAddFraction, then cut to fit pyramidMaxRisk and the exposure caps.
+    function addToTrade(trade, candle, vwap, emit) {
+      if (trade.adds.length >= config.pyramidMaxAdds) return;
+      const dir = trade.direction === 'LONG' ? 1 : -1;
+
+      let price = null;
+      let trigger = '';
+      if (config.pyramidTrigger === 'vwap') {
+        const beyond = vwap !== null && vwap !== undefined && (candle.close - vwap) * dir > 0;
+        trade.vwapHoldBars = beyond ? trade.vwapHoldBars + 1 : 0;
+        if (trade.vwapHoldBars >= config.pyramidVwapBars) {
+          price = candle.close;
+          trigger = `Held ${dir === 1 ? 'above' : 'below'} VWAP for ${trade.vwapHoldBars} bars`;
+        }
+      } else {
+        const level = config.pyramidLevels[trade.adds.length];
+        if (level === undefined) return;
+        const levelPrice = trade.entryPrice + dir * trade.range.rangeSize * level;
+        if ((dir === 1 ? candle.high : candle.low) * dir >= levelPrice * dir) {
+          // Gapped through the level: fill at the open
+          price = (candle.open - levelPrice) * dir > 0 ? candle.open : levelPrice;
+          trigger = `Reached ${level}x range from entry`;
+        }
+      }
+      // Only add to a winning position
+      if (price === null || (price - trade.avgCost) * dir <= 0) return;
+
+      // Stop the whole position moves to after the add (never loosened)
+      const lastFill = trade.adds.length > 0 ? trade.adds[trade.adds.length - 1].price : trade.entryPrice;
+      const ratchet = stop => (dir === 1 ? Math.max(stop, trade.currentStop) : Math.min(stop, trade.currentStop));
+      const fixedStop = config.pyramidStopRule === 'last_add' ? ratchet(lastFill) : trade.currentStop;
+
+      // Open risk is linear in the added shares: held * (avgCost - stop) + added * (price - stop)
+      const held = trade.remainingShares;
+      let shares = Math.floor(trade.shares * config.pyramidAddFraction);
+      if (config.pyramidStopRule !== 'breakeven' && config.pyramidMaxRisk > 0) {
+        const riskBudget = accountSize * config.pyramidMaxRisk - dir * held * (trade.avgCost - fixedStop);
+        const riskPerShare = dir * (price - fixedStop);
+        if (riskPerShare > 0) shares = Math.min(shares, Math.floor(riskBudget / riskPerShare));
+      }
+      const caps = [
+        config.maxNotionalPerTrade > 0 ? config.maxNotionalPerTrade : Infinity,
+        config.maxLeverage > 0 ? accountSize * config.maxLeverage : Infinity,
+        buyingPower,
+      ];
+      for (const cap of caps) shares = Math.min(shares, Math.floor(cap / price) - held);
+      shares = Math.min(shares, Math.floor(risk.settledCash / price));
+      if (dir === -1 && borrow && borrow.maxShares > 0) shares = Math.min(shares, borrow.maxShares - held);
+      if (dir === -1 && shortSaleBlocker(candle)) return;
+      if (shares <= 0) return;
+      risk.recordFill(shares * price);
+
+      trade.avgCost = parseFloat(((trade.avgCost * held + price * shares) / (held + shares)).toFixed(4));
+      trade.remainingShares += shares;
+      trade.shares += shares;
+      trade.vwapHoldBars = 0;
+      const newStop = config.pyramidStopRule === 'breakeven' ? ratchet(trade.avgCost) : fixedStop;
+      trade.currentStop = parseFloat(newStop.toFixed(2));
+
+      trade.adds.push({
+        time: candle.time,
+        price: parseFloat(price.toFixed(2)),
+        shares,
+        trigger,
+        avgCost: trade.avgCost,
+        stop: trade.currentStop,
+      });
+      emit({
+        time: candle.time,
+        type: 'ADD',
+        direction: trade.direction,
+        price,
+        shares,
+        avgCost: trade.avgCost,
+        stop: trade.currentStop,
+        reason: trigger,
+      });
+    }
+
+    // Close a trade's remaining shares at a candle's close (end of day)
+    function closeAtEndOfDay(trade, lastCandle) {
+      const exitPrice = lastCandle.close;
+      trade.partialExits.push({
+        time: lastCandle.time,
+        price: exitPrice,
+        shares: trade.remainingShares,
+        target: -1,
+        pnl: parseFloat(((trade.direction === 'LONG' ? 1 : -1) *
+          (exitPrice - trade.avgCost) * trade.remainingShares).toFixed(2)),
+      });
+      trade.remainingShares = 0;
+      trade.exitTime = lastCandle.time;
+      trade.exitReason = 'End of Day';
+      trade.totalPnL = parseFloat(
+        trade.partialExits.reduce((sum, pe) => sum + pe.pnl, 0).toFixed(2)
+      );
+      trade.durationMinutes = Math.round((lastCandle.time - trade.entryTime) / 60000);
+    }
+
+    // Emit a REJECTED signal for a breakout that was not traded, once per breakout,
+    // and follow it as a hypothetical trade when trackRejected is on
+    function rejectBreakout(direction, candle, entry, evaluation, blockers, setup) {
+      signals.push({
+        time: candle.time,
+        type: 'REJECTED',
+        direction,
+        price: entry.price,
+        stop: entry.stop,
+        setup,
+        reasons: blockers.map(b => b.reason),
+        reason: blockers.map(b => b.detail).join('; '),
+        confirmations: evaluation.confirmations,
+        failedConfirmations: evaluation.results.filter(r => !r.pass).map(r => r.name),
+        checks: evaluation.results,
+        score: evaluation.score,
+        requiredScore: config.minConfirmations,
+      });
+      rejectedEpisode = direction;
+
+      if (!trackRejected) return;
+      const shadow = buildTrade(direction, candle, entry.price, entry.stop, evaluation.confirmations, setup,
+        blockers.some(b => b.reason === 'sizing' || b.reason === 'settled_cash'));
+      if (!shadow) return;
+      shadow.rejectionReasons = blockers.map(b => b.reason);
+      shadow.failedConfirmations = evaluation.results.filter(r => !r.pass).map(r => r.name);
+      shadowTrades.push(shadow);
+    }
+
+    // Mark a carried position to the session's opening gap
+    function recordGap(trade, candle) {
+      const pnl = (trade.direction === 'LONG' ? 1 : -1) * (candle.open - trade.markPrice) * trade.remainingShares;
+      trade.overnight.push({
+        closeTime: trade.markTime,
+        openTime: candle.time,
+        close: trade.markPrice,
+        open: candle.open,
+        shares: trade.remainingShares,
+        pnl: parseFloat(pnl.toFixed(2)),
+      });
+      trade.overnightPnL = parseFloat((trade.overnightPnL + pnl).toFixed(2));
+    }
+
+    // Book a closed trade and count it toward the risk limits
+    function recordClosed(trade) {
+      const closed = { ...trade };
+      trades.push(closed);
+      risk.recordTrade(closed);
+      return closed;
+    }
+
+    // Check for exit conditions on the active trade
+    function manageActiveTrade(candle, vwap) {
+      const trade = activeTrade;
+      const { closed, reverse } = stepTrade(trade, candle, vwap, signal => signals.push(signal));
+      if (!closed) return;
+
+      recordClosed(trade);
+      activeTrade = null;
+      lastExit = { time: candle.time, direction: trade.direction, reason: trade.exitReason, pnl: trade.totalPnL };
+
+      // Enter the opposite way, stopped beyond the failed breakout's extreme
+      if (reverse && !entryPlan && tradesCount < config.maxTradesPerDay
+        && !risk.blocker(trade.direction === 'LONG' ? 'SHORT' : 'LONG')
+        && !(trade.direction === 'LONG' && shortSaleBlocker(candle))) {
+        const direction = trade.direction === 'LONG' ? 'SHORT' : 'LONG';
+        const entry = direction === 'SHORT'
+          ? {
+            price: candle.close,
+            stop: Math.max(trade.avgCost + trade.mfe, candle.high) + config.stopLossBuffer,
+            reason: `Failed breakout above OR high ${or.high}`,
           }
+          : {
+            price: candle.close,
+            stop: Math.min(trade.avgCost - trade.mfe, candle.low) - config.stopLossBuffer,
+            reason: `Failed breakdown below OR low ${or.low}`,
+          };
+        // A portfolio ranks and caps reversals like any other entry
+        if (deferEntries) {
+          pendingEntry = {
+            direction,
+            candle,
+            entry,
+            evaluation: { confirmations: [], results: [], score: 0 },
+            setup: 'reversal',
+            sentimentScore,
+            relativeVolume: or.avgVolume > 0 ? candle.volume / or.avgVolume : 0,
+          };
+          return;
+        }
+        openTrade(direction, candle, entry.price, entry.stop, [], 'reversal', entry.reason);
+      }
+    }
+
+    function processCandle(candle, i, vwap) {
+      // Advance hypothetical trades for rejected breakouts
+      for (const shadow of [...shadowTrades]) {
+        if (stepTrade(shadow, candle, vwap, () => {}).closed) {
+          shadowTrades.splice(shadowTrades.indexOf(shadow), 1);
+          rejectedTrades.push({ ...shadow });
         }
+      }
 
-        continue;
+      if (activeTrade) {
+        manageActiveTrade(candle, vwap);
+        return;
+      }
+      if (entryPlan) {
+        enterPlanned(candle);
+        return;
       }
 
       // Look for new entry signals (only if no active trade)
-      if (tradesCount >= config.maxTradesPerDay) continue;
 
       // LONG breakout
       const longBreak = config.confirmationType === 'close'
@@ -253,165 +1034,319 @@ const ORBStrategy = (() => {
         ? candle.close < or.low
         : candle.low < or.low;
 
-      // Check confirmations for LONG breakout
-      if (longBreak) {
-        const confirmations = [];
-        
-        // Volume confirmation
-        const volumeOk = !config.volumeConfirmation ||
-          candle.volume >= or.avgVolume * config.volumeMultiplier;
-        if (volumeOk) confirmations.push('volume');
-
-        // VWAP confirmation - price should be above VWAP for long
-        const vwapOk = !config.vwapConfirmation || !vwapData || 
-          vwapData[i] === null || vwapData[i] === undefined ||
-          candle.close > vwapData[i];
-        if (vwapOk) confirmations.push('vwap');
-
-        // Sentiment confirmation - sentiment should be positive for long
-        const sentimentOk = !config.sentimentConfirmation ||
-          sentimentScore > 0;
-        if (sentimentOk) confirmations.push('sentiment');
-
-        // Check if we have minimum required confirmations
-        if (confirmations.length >= config.minConfirmations) {
-          const entryPrice = config.confirmationType === 'close' ? candle.close : or.high + 0.01;
-          const stopPrice = or.low - config.stopLossBuffer;
-          const shares = config.positionSizing === 'fixed_risk'
-            ? calculatePositionSize(accountSize, config.riskPerTrade, entryPrice, stopPrice)
-            : 100;
-
-          if (shares > 0) {
-            activeTrade = {
-              direction: 'LONG',
-              entryPrice: parseFloat(entryPrice.toFixed(2)),
-              entryTime: candle.time,
-              stopLoss: parseFloat(stopPrice.toFixed(2)),
-              currentStop: parseFloat(stopPrice.toFixed(2)),
-              shares,
-              remainingShares: shares,
-              partialExits: [],
-              nextTargetIdx: 0,
-              mfe: 0,
-              mae: 0,
-              confirmations,
-            };
-            tradesCount++;
-
-            signals.push({
-              time: candle.time,
-              type: 'ENTRY',
-              direction: 'LONG',
-              price: entryPrice,
-              stop: stopPrice,
-              shares,
-              reason: `Breakout above OR high ${or.high}`,
-              confirmations,
-            });
-          }
-        }
-      } else if (shortBreak) {
-        const confirmations = [];
-        
-        // Volume confirmation
-        const volumeOk = !config.volumeConfirmation ||
-          candle.volume >= or.avgVolume * config.volumeMultiplier;
-        if (volumeOk) confirmations.push('volume');
-
-        // VWAP confirmation - price should be below VWAP for short
-        const vwapOk = !config.vwapConfirmation || !vwapData || 
-          vwapData[i] === null || vwapData[i] === undefined ||
-          candle.close < vwapData[i];
-        if (vwapOk) confirmations.push('vwap');
-
-        // Sentiment confirmation - sentiment should be negative for short
-        const sentimentOk = !config.sentimentConfirmation ||
-          sentimentScore < 0;
-        if (sentimentOk) confirmations.push('sentiment');
-
-        // Check if we have minimum required confirmations
-        if (confirmations.length >= config.minConfirmations) {
-          const entryPrice = config.confirmationType === 'close' ? candle.close : or.low - 0.01;
-          const stopPrice = or.high + config.stopLossBuffer;
-          const shares = config.positionSizing === 'fixed_risk'
-            ? calculatePositionSize(accountSize, config.riskPerTrade, entryPrice, stopPrice)
-            : 100;
-
-          if (shares > 0) {
-            activeTrade = {
-              direction: 'SHORT',
-              entryPrice: parseFloat(entryPrice.toFixed(2)),
-              entryTime: candle.time,
-              stopLoss: parseFloat(stopPrice.toFixed(2)),
-              currentStop: parseFloat(stopPrice.toFixed(2)),
-              shares,
-              remainingShares: shares,
-              partialExits: [],
-              nextTargetIdx: 0,
-              mfe: 0,
-              mae: 0,
-              confirmations,
-            };
-            tradesCount++;
-
-            signals.push({
-              time: candle.time,
-              type: 'ENTRY',
-              direction: 'SHORT',
-              price: entryPrice,
-              stop: stopPrice,
-              shares,
-              reason: `Breakdown below OR low ${or.low}`,
-              confirmations,
-            });
-          }
+      if (!longBreak && !shortBreak) {
+        rejectedEpisode = null;
+        return;
+      }
+
+      // Re-entry rules after a stop-out; a trailing or break-even stop that closed at a profit is not one
+      const afterStop = lastExit !== null && lastExit.reason === 'Stop Loss' && lastExit.pnl < 0;
+      const setup = afterStop ? 'reentry' : 'breakout';
+      const rule = config.reentryAfterStop;
+      const allowed = dir => !afterStop ||
+        (rule !== 'none' && (rule === 'any' || (rule === 'same') === (lastExit.direction === dir)));
+      const direction = longBreak && allowed('LONG') ? 'LONG'
+        : shortBreak && allowed('SHORT') ? 'SHORT'
+        : longBreak ? 'LONG' : 'SHORT';
+
+      // Rules that block a new entry regardless of confirmations
+      const blockers = dayFilter ? [dayFilter] : [];
+      const riskBlock = risk.blocker(direction);
+      if (riskBlock) blockers.push(riskBlock);
+      if (tradesCount >= config.maxTradesPerDay) {
+        blockers.push({ reason: 'trade_cap', detail: `Daily trade cap of ${config.maxTradesPerDay} reached` });
+      }
+      if (lastExit && (candle.time - lastExit.time) / 60000 < config.cooldownMinutes) {
+        blockers.push({ reason: 'cooldown', detail: `Within ${config.cooldownMinutes}-minute cooldown after last exit` });
+      }
+      if (!allowed(direction)) {
+        blockers.push({ reason: 'reentry_rule', detail: `Re-entry after stop-out limited to '${rule}'` });
+      }
+      // Under SSR a short waits for an uptick instead of being rejected
+      const shortBlock = direction === 'SHORT' ? shortSaleBlocker(candle) : null;
+      const ssrWait = shortBlock !== null && shortBlock.reason === 'ssr';
+      if (shortBlock && !ssrWait) blockers.push(shortBlock);
+      // This breakout was already recorded as rejected
+      if (blockers.length > 0 && rejectedEpisode === direction) return;
+
+      // Check confirmation filters; minConfirmations is compared to the weighted score
+      const evaluation = Filters.evaluate(filters, direction, {
+        candle,
+        index: i,
+        candles,
+        openingRange: or,
+        vwap,
+        sentimentScore,
+        config,
+        context,
+      });
+      if (evaluation.score < config.minConfirmations) {
+        blockers.push({
+          reason: 'confirmations',
+          detail: `Confirmation score ${evaluation.score} below required ${config.minConfirmations}`,
+        });
+      }
+
+      const entry = direction === 'LONG'
+        ? {
+          price: config.confirmationType === 'close' ? candle.close : or.high + 0.01,
+          reason: `Breakout above OR high ${or.high}`,
         }
+        : {
+          price: config.confirmationType === 'close' ? candle.close : or.low - 0.01,
+          reason: `Breakdown below OR low ${or.low}`,
+        };
+      entry.stop = initialStop(direction, entry.price);
+
+      const sizing = sizeFor(entry.price, entry.stop, direction);
+      if (sizing.shares <= 0) blockers.push(sizingBlocker(sizing));
+
+      if (blockers.length > 0) {
+        if (rejectedEpisode !== direction) rejectBreakout(direction, candle, entry, evaluation, blockers, setup);
+        return;
       }
+      if (ssrWait) return;
+      if (ssr && direction === 'SHORT') entry.reason += ' (uptick under SSR)';
+      if (deferEntries) {
+        pendingEntry = {
+          direction,
+          candle,
+          entry,
+          evaluation,
+          setup,
+          sentimentScore,
+          relativeVolume: or.avgVolume > 0 ? candle.volume / or.avgVolume : 0,
+        };
+        return;
+      }
+      openTrade(direction, candle, entry.price, entry.stop, evaluation.confirmations, setup, entry.reason);
     }
 
-    // Close any open trade at end of day unless caller is running an intraday simulation
-    if (activeTrade && closeOpenTradeAtEnd) {
+    // The next planned entry, at the close of the first flat candle at or after its minute. Its stop
+    // is as far away as a breakout entry's; confirmations, day filters and the cooldown don't apply.
+    function enterPlanned(candle) {
+      const planned = entryPlan[planIdx];
+      if (!planned || (candle.time - candles[0].time) / 60000 < planned.minute) return;
+      const { direction } = planned;
+      const shortBlock = direction === 'SHORT' ? shortSaleBlocker(candle) : null;
+      if (shortBlock && shortBlock.reason === 'ssr') return; // Waits for an uptick
+      planIdx++;
+      if (shortBlock || risk.blocker(direction) || tradesCount >= config.maxTradesPerDay) return;
+
+      const breakout = direction === 'LONG' ? or.high + 0.01 : or.low - 0.01;
+      const distance = Math.abs(breakout - initialStop(direction, breakout));
+      const price = candle.close;
+      openTrade(direction, candle, price, direction === 'LONG' ? price - distance : price + distance, [], 'planned',
+        `Planned ${direction === 'LONG' ? 'long' : 'short'} entry at minute ${planned.minute}`);
+    }
+
+    // Open the deferred entry, sized with the current account. Returns the trade or null.
+    function acceptEntry() {
+      const pending = pendingEntry;
+      pendingEntry = null;
+      if (!pending) return null;
+
+      const { direction, candle, entry, evaluation, setup } = pending;
+      // Another ticker's entry this minute may have used up the account's limits
+      const riskBlock = risk.blocker(direction);
+      const sizing = sizeFor(entry.price, entry.stop, direction);
+      if (riskBlock || sizing.shares <= 0) {
+        rejectBreakout(direction, candle, entry, evaluation, [riskBlock || sizingBlocker(sizing)], setup);
+        return null;
+      }
+      openTrade(direction, candle, entry.price, entry.stop, evaluation.confirmations, setup, entry.reason);
+      return activeTrade ? { ...activeTrade } : null;
+    }
+
+    // Turn down the deferred entry; it is recorded as a REJECTED signal with this reason,
+    // once per breakout. Returns whether a signal was recorded.
+    function rejectEntry(reason, detail) {
+      const pending = pendingEntry;
+      pendingEntry = null;
+      if (!pending || rejectedEpisode === pending.direction) return false;
+      rejectBreakout(pending.direction, pending.candle, pending.entry, pending.evaluation,
+        [{ reason, detail }], pending.setup);
+      return true;
+    }
+
+    // Update the account the engine sizes new positions from (shared portfolio equity)
+    function setAccount(account) {
+      if (account.accountSize !== undefined) accountSize = account.accountSize;
+      if (account.buyingPower !== undefined) buyingPower = account.buyingPower;
+    }
+
+    // Feed the next 1-minute candle; vwap is the session VWAP at this candle (optional).
+    // Returns the signals emitted by this candle.
+    function onCandle(candle, vwap = null) {
+      const i = candles.length;
+      candles.push(candle);
+      const signalCount = signals.length;
+      pendingEntry = null;
+
+      if (i === 0 && activeTrade && activeTrade.markPrice !== undefined) recordGap(activeTrade, candle);
+
+      // Rule 201 triggers on a 10% decline from the prior close and lasts the rest of the day
+      if (config.shortSaleRules && !ssr && Shorts.ssrTriggered(prevClose, candle.low, config.ssrThreshold)) {
+        ssr = { carriedOver: false, time: candle.time, price: candle.low };
+      }
+
+      if (!or && candles.length === config.openingRangeMinutes) {
+        or = computeOpeningRange(candles, config);
+        if (or) dayFilter = checkDayFilter();
+      }
+      if (or && i >= startIdx) {
+        processCandle(candle, i, vwap);
+      } else if (activeTrade) {
+        // A position carried overnight is managed from the open
+        manageActiveTrade(candle, vwap);
+      }
+      return signals.slice(signalCount);
+    }
+
+    function closeShadowTrades(lastCandle) {
+      for (const shadow of shadowTrades.splice(0)) {
+        closeAtEndOfDay(shadow, lastCandle);
+        rejectedTrades.push({ ...shadow });
+      }
+    }
+
+    // Whether the open trade may be held into the next session under config.overnightHold
+    function overnightEligible() {
+      if (!activeTrade || config.overnightHold === 'never') return false;
+      if (activeTrade.sessionsHeld >= config.maxHoldingDays) return false;
+
+      const trade = activeTrade;
+      const dir = trade.direction === 'LONG' ? 1 : -1;
+      const close = candles[candles.length - 1].close;
+      switch (config.overnightHold) {
+        case 'beyond_target':
+          return (close - targetPriceFor(trade, 0)) * dir >= 0;
+        case 'trail_intact':
+          return (trade.currentStop - trade.avgCost) * dir >= 0;
+        default:
+          return true;
+      }
+    }
+
+    // Hold the open trade overnight instead of closing it. Returns the position to
+    // pass as options.carryTrade to the next session's engine.
+    function holdOvernight() {
       const lastCandle = candles[candles.length - 1];
-      const exitPrice = lastCandle.close;
-      activeTrade.partialExits.push({
-        time: lastCandle.time,
-        price: exitPrice,
-        shares: activeTrade.remainingShares,
-        target: -1,
-        pnl: parseFloat(((activeTrade.direction === 'LONG' ? 1 : -1) *
-          (exitPrice - activeTrade.entryPrice) * activeTrade.remainingShares).toFixed(2)),
-      });
-      activeTrade.remainingShares = 0;
-      activeTrade.exitTime = lastCandle.time;
-      activeTrade.exitReason = 'End of Day';
-      activeTrade.totalPnL = parseFloat(
-        activeTrade.partialExits.reduce((sum, pe) => sum + pe.pnl, 0).toFixed(2)
-      );
-      activeTrade.durationMinutes = Math.round((lastCandle.time - activeTrade.entryTime) / 60000);
-      trades.push({ ...activeTrade });
+      closeShadowTrades(lastCandle);
+      if (!activeTrade) return null;
+
+      const held = {
+        ...activeTrade,
+        sessionsHeld: activeTrade.sessionsHeld + 1,
+        markPrice: lastCandle.close,
+        markTime: lastCandle.time,
+      };
       activeTrade = null;
+      return held;
+    }
+
+    // Close the open trade (and any hypothetical trades) at the last candle seen (end of day)
+    function closeOpenTrade() {
+      const lastCandle = candles[candles.length - 1];
+      closeShadowTrades(lastCandle);
+
+      if (!activeTrade) return null;
+      closeAtEndOfDay(activeTrade, lastCandle);
+      const closed = recordClosed(activeTrade);
+      activeTrade = null;
+      return closed;
+    }
+
+    // Snapshot of the engine in the same shape runDay() returns
+    function getResult() {
+      if (!or) return { trades: [], openingRange: null, signals: [] };
+
+      return {
+        trades: [...trades],
+        activeTrade: activeTrade ? { ...activeTrade } : null,
+        openingRange: or,
+        signals: [...signals],
+        rejectedTrades: [...rejectedTrades],
+        volatility: {
+          dailyAtr: dailyAtr !== null ? parseFloat(dailyAtr.toFixed(2)) : null,
+          rangeAtrRatio: dailyAtr ? parseFloat((or.rangeSize / dailyAtr).toFixed(3)) : null,
+          stopMode,
+          targetMode,
+          dayFilter: dayFilter ? dayFilter.detail : null,
+        },
+        shortSale: config.shortSaleRules ? { borrow, ssr } : null,
+        riskEvents: risk.events.slice(riskEventsStart),
+        summary: {
+          totalTrades: trades.length,
+          winners: trades.filter(t => t.totalPnL > 0).length,
+          losers: trades.filter(t => t.totalPnL <= 0).length,
+          totalPnL: parseFloat(trades.reduce((s, t) => s + t.totalPnL, 0).toFixed(2)),
+          sizeLimited: trades.filter(t => t.sizing && t.sizing.constraint).length,
+          rangeSize: or.rangeSize,
+          rangePercent: parseFloat((or.rangeSize / or.openPrice * 100).toFixed(3)),
+        }
+      };
     }
 
     return {
-      trades,
-      activeTrade: activeTrade ? { ...activeTrade } : null,
-      openingRange: or,
-      signals,
-      summary: {
-        totalTrades: trades.length,
-        winners: trades.filter(t => t.totalPnL > 0).length,
-        losers: trades.filter(t => t.totalPnL <= 0).length,
-        totalPnL: parseFloat(trades.reduce((s, t) => s + t.totalPnL, 0).toFixed(2)),
-        rangeSize: or.rangeSize,
-        rangePercent: parseFloat((or.rangeSize / or.openPrice * 100).toFixed(3)),
-      }
+      config,
+      onCandle,
+      closeOpenTrade,
+      overnightEligible,
+      holdOvernight,
+      acceptEntry,
+      rejectEntry,
+      setAccount,
+      getResult,
+      get pendingEntry() { return pendingEntry; },
+      get openingRange() { return or; },
+      get activeTrade() { return activeTrade ? { ...activeTrade } : null; },
+      get trades() { return [...trades]; },
+      get signals() { return [...signals]; },
+      get candleCount() { return candles.length; },
+      get tradesCount() { return tradesCount; },
     };
   }
 
+  // Run ORB strategy on a single day's data
+  // vwapData: optional array of VWAP values per candle (same length as candles)
+  // sentimentScore: optional sentiment score for the day
+  // options.context, options.trackRejected, options.buyingPower, options.carryTrade,
+  //   options.riskManager, options.entryPlan: see createEngine
+  // options.allowOvernight: hold an eligible position overnight instead of closing it;
+  //   the result's heldOvernight is then the position to carry into the next day
+  function runDay(candles, config, accountSize, vwapData = null, sentimentScore = 0, options = {}) {
+    const {
+      closeOpenTradeAtEnd = true, context = {}, trackRejected = false, buyingPower = Infinity,
+      carryTrade = null, allowOvernight = false, riskManager, entryPlan = null,
+    } = options;
+    const engine = createEngine(config, accountSize, { sentimentScore, context, trackRejected, buyingPower, carryTrade, riskManager, entryPlan });
+
+    for (let i = 0; i < candles.length; i++) {
+      engine.onCandle(candles[i], vwapData ? vwapData[i] : null);
+    }
+
+    // Close any open trade at end of day unless caller is running an intraday simulation
+    let heldOvernight = null;
+    if (engine.openingRange && closeOpenTradeAtEnd) {
+      if (allowOvernight && engine.overnightEligible()) heldOvernight = engine.holdOvernight();
+      else engine.closeOpenTrade();
+    }
+
+    return carryTrade || heldOvernight ? { ...engine.getResult(), heldOvernight } : engine.getResult();
+  }
+
   return {
     DEFAULT_CONFIG,
     computeOpeningRange,
     calculatePositionSize,
+    kellyFraction,
+    sizePosition,
+    averageTrueRange,
+    dailyBarsFromSessions,
+    isNarrowRangeDay,
+    describeExitLogic,
+    createEngine,
     runDay,
   };
 })();
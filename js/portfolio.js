@@ -0,0 +1,460 @@
+/**
+ * Portfolio Runner
+ *
+ * Steps the ORB strategy across several tickers minute by minute with one
+ * shared account:
+ * - Shared equity: closed trades update the capital later entries are sized from
+ * - Global daily trade cap across all tickers
+ * - Max concurrent positions and a shared buying-power limit
+ * - Ranking rule deciding which breakouts get capital when several fire together
+ * - Account-wide risk limits (RiskManager)
+ * - Basket reporting: per-ticker contribution, exposure over time and the
+ *   correlation of each ticker's daily strategy returns
+ * - Buy-and-hold benchmarks: the basket, equal-weighted, and SPY
+ * - Trade analytics across the basket (TradeAnalytics)
+ *
+ * Breakouts that lose out are recorded as REJECTED signals on their ticker.
+ */
+
+const Portfolio = (() => {
+
+  const DEFAULT_PORTFOLIO_CONFIG = {
+    startingCapital: 100000,
+    commission: 0.005,             // Per share commission
+    slippage: 0.02,                // Slippage per trade ($)
+    costModel: null,               // Itemized costs per order (TransactionCosts config); null = the flat commission and slippage above
+    tickers: ['SPY', 'QQQ', 'AAPL', 'MSFT', 'NVDA'], // Or 'all' for every MarketData profile
+    numDays: 60,
+    startDate: '2025-11-01',
+    maxTradesPerDay: null,         // Trades per day across all tickers (null = strategy maxTradesPerDay)
+    maxTradesPerTicker: null,      // Per-ticker daily cap (null = only the portfolio cap applies)
+    maxConcurrentPositions: 3,     // Open positions at once
+    ranking: 'sentiment',          // 'sentiment', 'relative_volume', 'confirmation_score' or 'none' (ticker order)
+    strategyConfig: {},
+  };
+
+  // Ranking rules: higher scores get capital first
+  const RANKINGS = {
+    sentiment: candidate => (candidate.direction === 'LONG' ? 1 : -1) * candidate.sentimentScore,
+    relative_volume: candidate => candidate.relativeVolume,
+    confirmation_score: candidate => candidate.evaluation.score,
+    none: () => 0,
+  };
+
+  function rankCandidates(candidates, ranking) {
+    const score = RANKINGS[ranking] || RANKINGS.none;
+    return candidates
+      .map((candidate, order) => ({ ...candidate, rankScore: score(candidate), order }))
+      .sort((a, b) => b.rankScore - a.rankScore || a.order - b.order);
+  }
+
+  // Risk manager for the shared account, counting trades net of costs
+  function createRiskManager(strategyConfig, equity, { commission, slippage, costModel }) {
+    return RiskManager.create(strategyConfig, equity, {
+      tradeCost: trade => trade.totalPnL - Backtester.applyCosts(trade, { commission, slippage, costModel, equity: 1 }).netPnL,
+    });
+  }
+
+  // One trading day across several tickers, stepped one minute at a time.
+  // days: { [ticker]: { candles, sentimentScore, context } }
+  // options: portfolio config plus equity (the account at the open) and an optional
+  // riskManager carried across sessions; the risk limits apply to the whole account
+  function createSession(days, strategyConfig, options = {}) {
+    options = { ...DEFAULT_PORTFOLIO_CONFIG, ...options };
+    strategyConfig = { ...ORBStrategy.DEFAULT_CONFIG, ...strategyConfig };
+    const { commission, slippage, costModel, ranking, maxConcurrentPositions } = options;
+    const maxTradesPerDay = options.maxTradesPerDay ?? strategyConfig.maxTradesPerDay;
+    const tickers = Object.keys(days);
+    const startEquity = options.equity !== undefined ? options.equity : options.startingCapital;
+
+    let { riskManager } = options;
+    if (!riskManager) {
+      riskManager = createRiskManager(strategyConfig, startEquity, options);
+      riskManager.startDay({ equity: startEquity, day: options.day, date: options.date });
+    }
+
+    // Each ticker's engine keeps its own per-ticker cap; the portfolio applies the global one
+    const engineConfig = { ...strategyConfig, maxTradesPerDay: options.maxTradesPerTicker ?? Infinity };
+    const slots = tickers.map(ticker => ({
+      ticker,
+      candles: days[ticker].candles,
+      engine: ORBStrategy.createEngine(engineConfig, startEquity, {
+        sentimentScore: days[ticker].sentimentScore || 0,
+        context: { ticker, ...days[ticker].context },
+        trackRejected: options.trackRejected,
+        deferEntries: true,
+        riskManager,
+      }),
+      cumPV: 0,
+      cumVol: 0,
+      closedCount: 0,
+      exposureSum: 0,
+    }));
+
+    let equity = startEquity;
+    let minute = 0;
+    let tradesToday = 0;
+    const closedTrades = [];
+    const decisions = [];
+    // Minute samples of the open positions' value, as % of equity
+    const exposure = { samples: 0, grossSum: 0, netSum: 0, positionsSum: 0, peakGross: 0 };
+
+    const openSlots = () => slots.filter(slot => slot.engine.activeTrade);
+    const positionValue = slot => {
+      const trade = slot.engine.activeTrade;
+      return trade ? trade.remainingShares * trade.avgCost : 0;
+    };
+    const grossExposure = () => openSlots().reduce((sum, slot) => sum + positionValue(slot), 0);
+    // Buying power for one ticker's engine: the other tickers' positions are taken out here,
+    // its own when the engine sizes an add-on against it
+    const buyingPower = own => strategyConfig.maxLeverage > 0
+      ? Math.max(0, equity * strategyConfig.maxLeverage - grossExposure() + positionValue(own))
+      : Infinity;
+
+    // Book newly closed trades into the shared equity
+    function collectClosed(slot, date) {
+      const trades = slot.engine.trades;
+      for (; slot.closedCount < trades.length; slot.closedCount++) {
+        if (costModel && !slot.market) slot.market = TransactionCosts.indexCandles(slot.candles);
+        const trade = Backtester.applyCosts(trades[slot.closedCount], {
+          commission, slippage, costModel, market: slot.market, equity, day: options.day, date, ticker: slot.ticker,
+        });
+        equity += trade.netPnL;
+        closedTrades.push(trade);
+      }
+    }
+
+    // Advance every ticker by one minute, then hand capital to the ranked breakouts
+    function step() {
+      const candidates = [];
+      for (const slot of slots) {
+        const candle = slot.candles[minute];
+        if (!candle) continue;
+        slot.engine.setAccount({ accountSize: equity, buyingPower: buyingPower(slot) });
+        slot.cumPV += (candle.high + candle.low + candle.close) / 3 * candle.volume;
+        slot.cumVol += candle.volume;
+        slot.engine.onCandle(candle, slot.cumVol > 0 ? slot.cumPV / slot.cumVol : candle.close);
+        collectClosed(slot, options.date);
+        if (slot.engine.pendingEntry) candidates.push({ ...slot.engine.pendingEntry, ticker: slot.ticker, slot });
+      }
+
+      rankCandidates(candidates, ranking).forEach((candidate, idx) => {
+        const { engine } = candidate.slot;
+        const label = `Ranked #${idx + 1} of ${candidates.length} by ${ranking.replace('_', ' ')}`;
+        let outcome = null;
+        if (tradesToday >= maxTradesPerDay) {
+          if (engine.rejectEntry('portfolio_trade_cap', `Portfolio cap of ${maxTradesPerDay} trades per day reached`)) {
+            outcome = 'portfolio_trade_cap';
+          }
+        } else if (openSlots().length >= maxConcurrentPositions) {
+          if (engine.rejectEntry('max_positions', `${label}; all ${maxConcurrentPositions} position slots in use`)) {
+            outcome = 'max_positions';
+          }
+        } else {
+          engine.setAccount({ accountSize: equity, buyingPower: buyingPower(candidate.slot) });
+          if (engine.acceptEntry()) {
+            tradesToday++;
+            if (candidates.length > 1) outcome = 'entered';
+          }
+        }
+        // Log contested entries and each breakout turned down (once per breakout)
+        if (outcome) {
+          decisions.push({ time: candidate.candle.time, ticker: candidate.ticker, direction: candidate.direction, rank: idx + 1, outcome });
+        }
+      });
+      sampleExposure();
+      minute++;
+    }
+
+    function sampleExposure() {
+      if (equity <= 0) return;
+      let gross = 0, net = 0;
+      for (const slot of openSlots()) {
+        const value = positionValue(slot) / equity * 100;
+        slot.exposureSum += value;
+        gross += value;
+        net += slot.engine.activeTrade.direction === 'LONG' ? value : -value;
+      }
+      exposure.samples++;
+      exposure.grossSum += gross;
+      exposure.netSum += net;
+      exposure.positionsSum += openSlots().length;
+      exposure.peakGross = Math.max(exposure.peakGross, gross);
+    }
+
+    // Step until `count` minutes have been fed (the simulation's current minute)
+    function advanceTo(count) {
+      while (minute < count) step();
+    }
+
+    // Close every open position at the last candle fed
+    function finish() {
+      for (const slot of slots) {
+        slot.engine.closeOpenTrade();
+        collectClosed(slot, options.date);
+      }
+    }
+
+    // Average and peak exposure over the minutes stepped so far
+    function exposureStats() {
+      const n = exposure.samples || 1;
+      return {
+        avgGrossPct: parseFloat((exposure.grossSum / n).toFixed(2)),
+        avgNetPct: parseFloat((exposure.netSum / n).toFixed(2)),
+        peakGrossPct: parseFloat(exposure.peakGross.toFixed(2)),
+        avgPositions: parseFloat((exposure.positionsSum / n).toFixed(2)),
+        byTicker: Object.fromEntries(slots.map(slot => [slot.ticker, parseFloat((slot.exposureSum / n).toFixed(2))])),
+      };
+    }
+
+    function getResult() {
+      return {
+        equity: parseFloat(equity.toFixed(2)),
+        tradesToday,
+        openPositions: openSlots().length,
+        trades: [...closedTrades],
+        decisions: [...decisions],
+        exposure: exposureStats(),
+        tickers: Object.fromEntries(slots.map(slot => [slot.ticker, slot.engine.getResult()])),
+      };
+    }
+
+    return {
+      step,
+      advanceTo,
+      finish,
+      getResult,
+      get minute() { return minute; },
+      get equity() { return equity; },
+    };
+  }
+
+  // Pearson correlation of two equal-length series (null when either is flat)
+  function correlation(a, b) {
+    const n = Math.min(a.length, b.length);
+    if (n < 2) return null;
+    const meanA = a.slice(0, n).reduce((s, v) => s + v, 0) / n;
+    const meanB = b.slice(0, n).reduce((s, v) => s + v, 0) / n;
+    let cov = 0, varA = 0, varB = 0;
+    for (let i = 0; i < n; i++) {
+      cov += (a[i] - meanA) * (b[i] - meanB);
+      varA += (a[i] - meanA) ** 2;
+      varB += (b[i] - meanB) ** 2;
+    }
+    return varA > 0 && varB > 0 ? cov / Math.sqrt(varA * varB) : null;
+  }
+
+  // Correlation of every pair of series, with the average over distinct pairs
+  // series: { [ticker]: daily returns }
+  function correlationMatrix(series) {
+    const tickers = Object.keys(series);
+    const matrix = tickers.map(a => tickers.map(b => {
+      const r = correlation(series[a], series[b]);
+      return r === null ? null : parseFloat(r.toFixed(3));
+    }));
+    const pairs = [];
+    tickers.forEach((_, i) => tickers.forEach((__, j) => {
+      if (j > i && matrix[i][j] !== null) pairs.push(matrix[i][j]);
+    }));
+    return {
+      tickers,
+      matrix,
+      averageCorrelation: pairs.length > 0 ? parseFloat((pairs.reduce((s, r) => s + r, 0) / pairs.length).toFixed(3)) : null,
+    };
+  }
+
+  const stdDev = values => {
+    if (values.length < 2) return 0;
+    const mean = values.reduce((s, v) => s + v, 0) / values.length;
+    return Math.sqrt(values.reduce((s, v) => s + (v - mean) ** 2, 0) / (values.length - 1));
+  };
+
+  // Where the basket's results came from: the diversification ratio (sum of the
+  // tickers' return volatilities over the portfolio's; 1 = they all move together,
+  // higher = they offset each other) and the share of the net profit earned by the best ticker
+  function diversification(tickerReturns, dailyReturns, perTicker) {
+    const portfolioVol = stdDev(dailyReturns);
+    const sumVol = Object.values(tickerReturns).reduce((s, returns) => s + stdDev(returns), 0);
+    const ranked = Object.entries(perTicker).sort((a, b) => b[1].netPnL - a[1].netPnL);
+    const totalPnL = ranked.reduce((s, [, stats]) => s + stats.netPnL, 0);
+    const [topTicker, top] = ranked[0] || [null, { netPnL: 0 }];
+    return {
+      ratio: portfolioVol > 0 ? parseFloat((sumVol / portfolioVol).toFixed(2)) : null,
+      topTicker,
+      topTickerShare: totalPnL > 0 ? parseFloat((top.netPnL / totalPnL * 100).toFixed(1)) : null,
+      profitableTickers: ranked.filter(([, stats]) => stats.netPnL > 0).length,
+    };
+  }
+
+  // Multi-day portfolio backtest stepped one session per step(), like Backtester.createRun(),
+  // with the same result shape as Backtester.run() plus the basket reports
+  // (perTicker, exposureCurve, correlation, diversification)
+  function createRun(config) {
+    config = { ...DEFAULT_PORTFOLIO_CONFIG, ...config };
+    if (config.tickers === 'all') config.tickers = Object.keys(MarketData.STOCK_PROFILES);
+    const { startingCapital, tickers, numDays, startDate, strategyConfig } = config;
+
+    const prepared = Object.fromEntries(
+      tickers.map(ticker => [ticker, Backtester.prepareDays(ticker, numDays, startDate, strategyConfig, { benchmarks: false })])
+    );
+    const numSessions = Math.min(...tickers.map(ticker => prepared[ticker].days.length));
+
+    // Buy-and-hold benchmarks: the basket, equal-weighted, and SPY
+    const benchmarkBars = {
+      Basket: Benchmark.basketBars(tickers.map(ticker => Benchmark.dailyBars(prepared[ticker].historicalDays))),
+      SPY: Benchmark.dailyBars(prepared.SPY
+        ? prepared.SPY.historicalDays
+        : MarketData.generateHistoricalData('SPY', new Date(startDate), numDays, 'S'.charCodeAt(0) * 31337)),
+    };
+
+    let equity = startingCapital;
+    const equityCurve = [{ day: 0, equity: startingCapital, date: startDate }];
+    const allTrades = [];
+    const rejectedTrades = [];
+    const dailyReturns = [];
+    const dailyResults = [];
+    const perTicker = Object.fromEntries(tickers.map(ticker => [ticker, { trades: 0, winners: 0, netPnL: 0, rejected: 0, exposureSum: 0 }]));
+    const tickerReturns = Object.fromEntries(tickers.map(ticker => [ticker, []]));
+    const exposureCurve = [];
+    let peak = startingCapital;
+    const riskManager = createRiskManager({ ...ORBStrategy.DEFAULT_CONFIG, ...strategyConfig }, startingCapital, config);
+
+    let d = 0;
+
+    function step() {
+      if (d >= numSessions) return false;
+      const date = prepared[tickers[0]].days[d].dayData.date.toISOString().slice(0, 10);
+      const days = {};
+      for (const ticker of tickers) {
+        const { dayData, sentimentScore, context } = prepared[ticker].days[d];
+        days[ticker] = {
+          candles: dayData.candles,
+          sentimentScore,
+          context: { ...context, tradeHistory: allTrades.map(t => t.netPnL) },
+        };
+      }
+
+      riskManager.startDay({ equity, day: d + 1, date });
+      const session = createSession(days, strategyConfig, { ...config, equity, day: d + 1, date, trackRejected: true, riskManager });
+      session.advanceTo(Math.max(...tickers.map(ticker => days[ticker].candles.length)));
+      session.finish();
+      const result = session.getResult();
+
+      const dayPnL = result.equity - equity;
+      equity = result.equity;
+      riskManager.endDay(equity);
+      allTrades.push(...result.trades);
+      for (const ticker of tickers) {
+        const tickerResult = result.tickers[ticker];
+        const market = config.costModel && tickerResult.rejectedTrades?.length
+          ? TransactionCosts.indexCandles(days[ticker].candles) : null;
+        for (const trade of tickerResult.rejectedTrades || []) {
+          rejectedTrades.push(Backtester.applyCosts(trade, {
+            commission: config.commission, slippage: config.slippage, costModel: config.costModel, market,
+            equity, day: d + 1, date, ticker,
+          }));
+        }
+        perTicker[ticker].rejected += (tickerResult.signals || []).filter(s => s.type === 'REJECTED').length;
+      }
+      const dayTickerPnL = Object.fromEntries(tickers.map(ticker => [ticker, 0]));
+      for (const trade of result.trades) {
+        perTicker[trade.ticker].trades++;
+        if (trade.netPnL > 0) perTicker[trade.ticker].winners++;
+        perTicker[trade.ticker].netPnL += trade.netPnL;
+        dayTickerPnL[trade.ticker] += trade.netPnL;
+      }
+      const startEquity = equity - dayPnL;
+      for (const ticker of tickers) {
+        tickerReturns[ticker].push(startEquity > 0 ? dayTickerPnL[ticker] / startEquity * 100 : 0);
+        perTicker[ticker].exposureSum += result.exposure.byTicker[ticker];
+      }
+      exposureCurve.push({
+        day: d + 1,
+        date,
+        avgGrossPct: result.exposure.avgGrossPct,
+        avgNetPct: result.exposure.avgNetPct,
+        peakGrossPct: result.exposure.peakGrossPct,
+        avgPositions: result.exposure.avgPositions,
+      });
+
+      if (equity > peak) peak = equity;
+      const drawdown = peak - equity;
+      dailyReturns.push(dayPnL / (equity - dayPnL) * 100);
+      equityCurve.push({
+        day: d + 1,
+        equity: parseFloat(equity.toFixed(2)),
+        date,
+        pnl: parseFloat(dayPnL.toFixed(2)),
+        drawdown: parseFloat(drawdown.toFixed(2)),
+        drawdownPct: parseFloat((peak > 0 ? drawdown / peak * 100 : 0).toFixed(2)),
+        trades: result.trades.length,
+      });
+      dailyResults.push({
+        date,
+        trades: result.trades.length,
+        pnl: parseFloat(dayPnL.toFixed(2)),
+        decisions: result.decisions,
+        riskEvents: riskManager.events.filter(e => e.day === d + 1),
+      });
+      d++;
+      return true;
+    }
+
+    // The result so far; partial until every session has run
+    function getResult() {
+      const tickerStats = Object.fromEntries(Object.entries(perTicker).map(([ticker, { exposureSum, ...stats }]) => [ticker, {
+        ...stats,
+        netPnL: parseFloat(stats.netPnL.toFixed(2)),
+        winRate: stats.trades > 0 ? parseFloat((stats.winners / stats.trades * 100).toFixed(1)) : 0,
+        returnContribution: parseFloat((stats.netPnL / startingCapital * 100).toFixed(2)),
+        avgExposurePct: parseFloat((d > 0 ? exposureSum / d : 0).toFixed(2)),
+      }]));
+
+      return {
+        config,
+        equityCurve,
+        trades: allTrades,
+        rejectedTrades,
+        rejectedStats: Backtester.computeRejectedStats(rejectedTrades),
+        riskEvents: riskManager.events,
+        riskStats: RiskManager.summarize(riskManager.events),
+        dailyResults,
+        perTicker: tickerStats,
+        exposureCurve,
+        correlation: correlationMatrix(tickerReturns),
+        diversification: diversification(tickerReturns, dailyReturns, tickerStats),
+        metrics: Backtester.computeMetrics(allTrades, equityCurve, dailyReturns, startingCapital),
+        rolling: Backtester.rollingMetrics(equityCurve, dailyReturns),
+        benchmarks: Benchmark.compare(equityCurve, dailyReturns, benchmarkBars, startingCapital),
+        costs: TransactionCosts.summarize(allTrades),
+        analytics: TradeAnalytics.analyze(allTrades, { openingRangeMinutes: { ...ORBStrategy.DEFAULT_CONFIG, ...strategyConfig }.openingRangeMinutes }),
+        partial: d < numSessions,
+      };
+    }
+
+    return {
+      step,
+      getResult,
+      get progress() { return { done: d, total: numSessions, unit: 'day' }; },
+    };
+  }
+
+  function run(config) {
+    const portfolio = createRun(config);
+    while (portfolio.step());
+    return portfolio.getResult();
+  }
+
+  return {
+    DEFAULT_PORTFOLIO_CONFIG,
+    RANKINGS,
+    rankCandidates,
+    createSession,
+    correlation,
+    correlationMatrix,
+    createRun,
+    run,
+  };
+})();
+
+if (typeof module !== 'undefined') module.exports = Portfolio;
@@ -0,0 +1,223 @@
+/**
+ * Risk Manager
+ *
+ * Account-level guardrails shared by the strategy engine, the Backtester and
+ * the portfolio runner:
+ * - Max daily loss (dollars or % of the day's starting equity): no new entries for the rest of the day
+ * - Consecutive-loss limit: stop for the day after N losing trades in a row
+ * - Drawdown size cut: smaller positions while equity is a set % below its peak
+ * - Equity-curve filter: sit out a week when equity closes below its moving average;
+ *   after a pause it is checked again only once a new trade has closed
+ * - Account type (config.accountType):
+ *   - 'margin': the pattern-day-trader rule. Under $25k, at most 3 day trades in any
+ *     5 sessions; an account already flagged as a PDT cannot day trade under $25k
+ *   - 'cash': only settled cash buys shares. Sale proceeds settle T+1 (the next
+ *     session), and a cash account cannot sell short
+ *
+ * Rules read their settings from the strategy config and are off by default.
+ * Every time a rule fires it is logged in `events`.
+ */
+
+const RiskManager = (() => {
+
+  // Settings are strategy config keys; 0 turns a rule off
+  const RULES = {
+    daily_loss: { label: 'Daily Loss Limit', enabled: c => c.maxDailyLoss > 0 || c.maxDailyLossPercent > 0 },
+    loss_streak: { label: 'Consecutive Losses', enabled: c => c.maxConsecutiveLosses > 0 },
+    drawdown_size_cut: { label: 'Drawdown Size Cut', enabled: c => c.drawdownSizeCut > 0 },
+    equity_curve: { label: 'Equity Curve Filter', enabled: c => c.equityMaPeriod > 0 },
+    pdt: { label: 'Pattern Day Trader', enabled: c => c.accountType === 'margin' },
+    settled_cash: { label: 'Settled Cash (T+1)', enabled: c => c.accountType === 'cash' },
+    cash_short: { label: 'No Shorting (Cash Account)', enabled: c => c.accountType === 'cash' },
+  };
+
+  // FINRA pattern-day-trader rule: 4 day trades in 5 sessions flags a margin account
+  const PDT = { minEquity: 25000, windowDays: 5, maxDayTrades: 3 };
+
+  function isEnabled(config) {
+    return Object.values(RULES).some(rule => rule.enabled(config));
+  }
+
+  // The same config with every rule turned off (to measure what the rules changed)
+  function withoutRules(config) {
+    return {
+      ...config, maxDailyLoss: 0, maxDailyLossPercent: 0, maxConsecutiveLosses: 0, drawdownSizeCut: 0, equityMaPeriod: 0,
+      accountType: 'none',
+    };
+  }
+
+  // options.tradeCost(trade): costs deducted from a trade's P&L before it counts
+  // toward the daily loss and the losing streak (the engine only sees gross P&L)
+  function create(config, startingEquity, options = {}) {
+    const { tradeCost = () => 0 } = options;
+    const events = [];
+    const equityCloses = [];
+    let peakEquity = startingEquity;
+    let lossStreak = 0;
+    let pauseDaysLeft = 0;
+    // Equity doesn't move while the account sits flat, so a pause isn't renewed until a trade closes
+    let tradeSincePause = true;
+    let sizeMultiplier = 1;
+    let session = { day: 0, date: null, startEquity: startingEquity, realized: 0, halt: null };
+    // Account type: sessions with a day trade (one entry per day trade), positions opened
+    // this session and still open, cost of open positions, and cash free to buy with
+    const dayTrades = [];
+    let openedToday = 0;
+    let openCost = 0;
+    let settledCash = config.accountType === 'cash' ? startingEquity : Infinity;
+
+    function log(rule, detail, extra = {}) {
+      const event = { day: session.day, date: session.date, rule, label: RULES[rule].label, detail, ...extra };
+      events.push(event);
+      return event;
+    }
+
+    function halt(rule, detail, time) {
+      if (session.halt) return;
+      session.halt = { reason: rule, detail };
+      log(rule, detail, { time });
+    }
+
+    // Start a session with the account's equity at the open
+    function startDay({ equity, day = session.day + 1, date = null }) {
+      session = { day, date, startEquity: equity, realized: 0, halt: null };
+      openedToday = 0;
+      // Yesterday's sales have settled; cash still in open positions is not free
+      if (config.accountType === 'cash') settledCash = Math.max(0, equity - openCost);
+
+      if (pauseDaysLeft > 0) {
+        pauseDaysLeft--;
+        session.halt = { reason: 'equity_curve', detail: `Equity-curve pause, ${pauseDaysLeft + 1} session(s) left` };
+      } else if (config.equityMaPeriod > 0 && tradeSincePause && equityCloses.length >= config.equityMaPeriod) {
+        const recent = equityCloses.slice(-config.equityMaPeriod);
+        const ma = recent.reduce((a, b) => a + b, 0) / recent.length;
+        if (equity < ma) {
+          pauseDaysLeft = config.equityPauseDays - 1;
+          tradeSincePause = false;
+          halt('equity_curve', `Equity $${equity.toFixed(0)} below its ${config.equityMaPeriod}-day average $${ma.toFixed(0)}; pausing ${config.equityPauseDays} session(s)`);
+        }
+      }
+
+      // Drawdown size cut, logged when it switches on and off
+      const drawdown = peakEquity > 0 ? (peakEquity - equity) / peakEquity : 0;
+      const multiplier = config.drawdownSizeCut > 0 && drawdown >= config.drawdownSizeCut ? config.drawdownSizeMultiplier : 1;
+      if (multiplier !== sizeMultiplier) {
+        log('drawdown_size_cut', multiplier < 1
+          ? `Drawdown ${(drawdown * 100).toFixed(1)}% from peak; position size x${multiplier}`
+          : `Drawdown back under ${(config.drawdownSizeCut * 100).toFixed(1)}%; full position size`);
+        sizeMultiplier = multiplier;
+      }
+      checkDayTrades();
+      return session;
+    }
+
+    // Day trades in the rolling window, counting today's positions that are still open
+    function dayTradesInWindow() {
+      return dayTrades.filter(day => day > session.day - PDT.windowDays).length + openedToday;
+    }
+
+    // Stop new entries once another day trade would break the PDT rule
+    function checkDayTrades(time) {
+      if (config.accountType !== 'margin' || session.startEquity >= PDT.minEquity) return;
+      const equity = `$${session.startEquity.toFixed(0)}`;
+      if (config.pdtFlagged) {
+        halt('pdt', `Flagged pattern day trader under $${PDT.minEquity} (${equity}); no day trades`, time);
+        return;
+      }
+      const count = dayTradesInWindow();
+      if (count >= PDT.maxDayTrades) {
+        halt('pdt', `${count} day trades in ${PDT.windowDays} sessions with ${equity} equity; a ${PDT.maxDayTrades + 1}th would flag the account`, time);
+      }
+    }
+
+    // Count a new position toward the day trades and spend its cost from settled cash
+    function recordEntry(trade) {
+      openedToday++;
+      recordFill(trade.shares * trade.entryPrice);
+      checkDayTrades(trade.entryTime);
+    }
+
+    // Cost of shares bought into an open position (entries and add-ons)
+    function recordFill(cost) {
+      openCost += cost;
+      if (config.accountType === 'cash') settledCash = Math.max(0, settledCash - cost);
+    }
+
+    // Close the session with the account's equity
+    function endDay(equity) {
+      equityCloses.push(equity);
+      if (equity > peakEquity) peakEquity = equity;
+    }
+
+    // Count a closed trade toward the daily loss and the losing streak
+    function recordTrade(trade) {
+      // Proceeds of the sale stay unsettled until the next session
+      openCost = Math.max(0, openCost - trade.shares * trade.avgCost);
+      if (!trade.overnight || trade.overnight.length === 0) {
+        dayTrades.push(session.day);
+        openedToday = Math.max(0, openedToday - 1);
+      }
+
+      tradeSincePause = true;
+      const pnl = trade.totalPnL - tradeCost(trade);
+      session.realized += pnl;
+      lossStreak = pnl <= 0 ? lossStreak + 1 : 0;
+
+      const lossLimits = [];
+      if (config.maxDailyLoss > 0) lossLimits.push(config.maxDailyLoss);
+      if (config.maxDailyLossPercent > 0) lossLimits.push(session.startEquity * config.maxDailyLossPercent / 100);
+      const limit = lossLimits.length > 0 ? Math.min(...lossLimits) : null;
+      if (limit !== null && -session.realized >= limit) {
+        halt('daily_loss', `Down $${(-session.realized).toFixed(2)} today, limit $${limit.toFixed(2)}`, trade.exitTime);
+      }
+      if (config.maxConsecutiveLosses > 0 && lossStreak >= config.maxConsecutiveLosses) {
+        halt('loss_streak', `${lossStreak} losing trade${lossStreak > 1 ? 's' : ''} in a row`, trade.exitTime);
+        lossStreak = 0;
+      }
+    }
+
+    // The rule blocking new entries this session (or in this direction), as an engine blocker, or null
+    function blocker(direction) {
+      if (session.halt) return { ...session.halt };
+      if (config.accountType === 'cash' && direction === 'SHORT') {
+        return { reason: 'cash_short', detail: 'Cash accounts cannot sell short' };
+      }
+      return null;
+    }
+
+    return {
+      startDay,
+      endDay,
+      recordEntry,
+      recordFill,
+      recordTrade,
+      blocker,
+      get sizeMultiplier() { return sizeMultiplier; },
+      get settledCash() { return settledCash; },
+      get dayTradeCount() { return dayTradesInWindow(); },
+      get events() { return [...events]; },
+      get realizedToday() { return session.realized; },
+    };
+  }
+
+  // Rule firings in total and per rule, from a run's event log
+  function summarize(events) {
+    const byRule = {};
+    for (const event of events) {
+      if (!byRule[event.rule]) byRule[event.rule] = { label: event.label, fired: 0 };
+      byRule[event.rule].fired++;
+    }
+    return { fired: events.length, byRule };
+  }
+
+  return {
+    RULES,
+    PDT,
+    isEnabled,
+    withoutRules,
+    create,
+    summarize,
+  };
+})();
+
+if (typeof module !== 'undefined') module.exports = RiskManager;
@@ -0,0 +1,70 @@
+/**
+ * Short-Sale Rules
+ *
+ * Optional realism for SHORT entries:
+ * - Borrow table: each ticker is easy to borrow, hard to borrow or unavailable,
+ *   with an annual borrow rate, a per-share locate fee and a cap on the
+ *   shares available to borrow
+ * - SEC Rule 201 (SSR): after a 10% decline from the prior close, shorts may
+ *   only fill on an uptick for the rest of the day and all of the next day
+ *
+ * The strategy engine applies the rules when config.shortSaleRules is on;
+ * the Backtester charges borrowCost() in net P&L.
+ */
+
+const ShortSale = (() => {
+
+  // Tickers not listed are easy to borrow
+  const DEFAULT_BORROW = { status: 'easy', borrowRate: 0.0025, locateFee: 0, maxShares: 0 };
+
+  // status: 'easy', 'hard' or 'unavailable'; borrowRate: annual; locateFee: $ per share;
+  // maxShares: shares available to borrow (0 = unlimited)
+  const BORROW_TABLE = {
+    TSLA: { status: 'hard', borrowRate: 0.08, locateFee: 0.02, maxShares: 5000 },
+    NVDA: { status: 'hard', borrowRate: 0.05, locateFee: 0.01, maxShares: 10000 },
+  };
+
+  const STATUS_LABELS = {
+    easy: 'Easy to Borrow',
+    hard: 'Hard to Borrow',
+    unavailable: 'No Borrow',
+  };
+
+  // Borrow terms for a ticker, with per-ticker overrides from the strategy config
+  function borrowFor(ticker, overrides = {}) {
+    return { ticker, ...DEFAULT_BORROW, ...BORROW_TABLE[ticker], ...overrides[ticker] };
+  }
+
+  // Borrow fee for a closed short trade: the annual rate over the calendar days
+  // held (at least one) on the entry value, plus the locate fee per share
+  function borrowCost(trade) {
+    if (!trade.borrow || trade.direction !== 'SHORT') return 0;
+    const days = Math.max(1, Math.ceil((trade.exitTime - trade.entryTime) / 86400000));
+    const interest = trade.shares * trade.entryPrice * trade.borrow.borrowRate * days / 360;
+    return parseFloat((interest + trade.shares * trade.borrow.locateFee).toFixed(2));
+  }
+
+  // Rule 201 triggers when the price falls `threshold` (10%) below the prior close
+  function ssrTriggered(prevClose, price, threshold = 0.10) {
+    return prevClose > 0 && price <= prevClose * (1 - threshold);
+  }
+
+  // The restriction carries over from the prior session when it triggered there
+  function ssrCarriesOver(dailyBars, threshold = 0.10) {
+    if (dailyBars.length < 2) return false;
+    const last = dailyBars[dailyBars.length - 1];
+    return ssrTriggered(dailyBars[dailyBars.length - 2].close, last.low, threshold);
+  }
+
+  return {
+    DEFAULT_BORROW,
+    BORROW_TABLE,
+    STATUS_LABELS,
+    borrowFor,
+    borrowCost,
+    ssrTriggered,
+    ssrCarriesOver,
+  };
+})();
+
+if (typeof module !== 'undefined') module.exports = ShortSale;
@@ -0,0 +1,214 @@
+/**
+ * Significance Tests
+ *
+ * Whether a backtest's edge is distinguishable from luck:
+ * - Random-entry baselines: the same days, sizing, stops and exits with the strategy's
+ *   entries replaced by random entry times (same directions), random directions (same
+ *   times) or both, giving a null distribution of Sharpe ratio and expectancy
+ * - One-sided p-values: the share of random baselines that did at least as well
+ * - Bootstrap confidence intervals for the backtest's own Sharpe ratio and expectancy
+ * - A minimum-sample check on the trade count and days tested
+ *
+ * Baselines replay ORB exits through the ORB engine's entryPlan, so only the 'orb' strategy is supported.
+ */
+
+const Significance = (() => {
+
+  const DEFAULT_SIGNIFICANCE_CONFIG = {
+    method: 'time',            // 'time' (random entry minutes), 'direction' (random directions) or 'both'
+    simulations: 100,          // Random-entry backtests in the null distribution
+    seed: 7,
+    confidence: 95,            // Confidence level of the intervals, %
+    bootstrapSamples: 2000,    // Resamples per confidence interval
+    minTrades: 30,             // Fewer trades than this triggers the small-sample warning
+    minDays: 120,              // Fewer trading days than this too
+  };
+
+  const round = (value, places = 2) => parseFloat(value.toFixed(places));
+  const mean = values => values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : 0;
+
+  // Annualized Sharpe ratio of daily returns (%), as Backtester.computeMetrics() computes it
+  function sharpe(dailyReturns) {
+    if (dailyReturns.length < 2) return 0;
+    const avg = mean(dailyReturns);
+    const std = Math.sqrt(dailyReturns.reduce((s, r) => s + (r - avg) ** 2, 0) / (dailyReturns.length - 1));
+    return std > 0 ? avg * 252 / (std * Math.sqrt(252)) : 0;
+  }
+
+  // Value at percentile p (0-100) of sorted values
+  const percentile = (sorted, p) => sorted[Math.min(sorted.length - 1, Math.max(0, Math.floor(sorted.length * p / 100)))];
+
+  // Percentile bootstrap interval of stat(values), resampling with replacement
+  function bootstrapInterval(values, stat, { samples = 2000, confidence = 95, rng = Math.random } = {}) {
+    if (values.length < 2) return null;
+    const stats = [];
+    for (let s = 0; s < samples; s++) {
+      const resample = Array.from({ length: values.length }, () => values[Math.floor(rng() * values.length)]);
+      stats.push(stat(resample));
+    }
+    stats.sort((a, b) => a - b);
+    const tail = (100 - confidence) / 2;
+    return [round(percentile(stats, tail)), round(percentile(stats, 100 - tail))];
+  }
+
+  // One-sided p-value of an observed value against a null distribution: the share of
+  // baselines at least as good, counting the observation itself so it is never 0
+  function pValue(observed, nullValues) {
+    if (nullValues.length === 0) return null;
+    return round((nullValues.filter(v => v >= observed).length + 1) / (nullValues.length + 1), 4);
+  }
+
+  // Small-sample warnings for a backtest's metrics, with the win rate's margin of error (95%)
+  function sampleCheck(metrics, numDays, { minTrades = DEFAULT_SIGNIFICANCE_CONFIG.minTrades, minDays = DEFAULT_SIGNIFICANCE_CONFIG.minDays } = {}) {
+    const n = metrics.totalTrades;
+    const p = metrics.winRate / 100;
+    const warnings = [];
+    if (n < minTrades) {
+      warnings.push(`Only ${n} trade${n === 1 ? '' : 's'}: at least ${minTrades} are needed before win rate and expectancy mean much.`);
+    }
+    if (numDays < minDays) {
+      warnings.push(`Only ${numDays} trading days: Sharpe and drawdown figures from fewer than ${minDays} days rest on one market regime.`);
+    }
+    return {
+      sufficient: warnings.length === 0,
+      warnings,
+      winRateMargin: n > 0 ? round(1.96 * Math.sqrt(p * (1 - p) / n) * 100, 1) : null,
+    };
+  }
+
+  // Each session's entries in the backtest as { minute, direction }, keyed by session index.
+  // A trade's day is the session it closed in; one held overnight entered sessionsHeld sessions earlier.
+  // Trades without a session in [0, numSessions) or an entry minute are left out.
+  function entryTemplate(trades, numSessions) {
+    const template = {};
+    for (const trade of trades) {
+      const session = trade.day - 1 - (trade.sessionsHeld || 0);
+      if (!(session >= 0 && session < numSessions) || trade.entryMinute === undefined) continue;
+      (template[session] = template[session] || []).push({ minute: trade.entryMinute, direction: trade.direction });
+    }
+    return template;
+  }
+
+  // A random version of the template: new entry minutes (sorted, after the opening range
+  // and the avoided minutes) and/or coin-flip directions; the number of entries per session is kept
+  function randomPlans(template, historicalDays, firstMinute, method, rng) {
+    const plans = {};
+    for (const [session, entries] of Object.entries(template)) {
+      const lastMinute = historicalDays[session].candles.length - 2;
+      const minutes = method === 'direction'
+        ? entries.map(e => e.minute)
+        : entries.map(() => firstMinute + Math.floor(rng() * Math.max(1, lastMinute - firstMinute))).sort((a, b) => a - b);
+      plans[session] = entries.map((entry, i) => ({
+        minute: minutes[i],
+        direction: method === 'time' ? entry.direction : rng() < 0.5 ? 'LONG' : 'SHORT',
+      }));
+    }
+    return plans;
+  }
+
+  // The null distribution's summary and the observed value's p-value and confidence interval
+  function compareToNull(observed, nullValues, interval) {
+    const sorted = [...nullValues].sort((a, b) => a - b);
+    return {
+      observed,
+      pValue: pValue(observed, nullValues),
+      interval,
+      nullMean: sorted.length > 0 ? round(mean(sorted)) : null,
+      nullMedian: sorted.length > 0 ? round(percentile(sorted, 50)) : null,
+      null5: sorted.length > 0 ? round(percentile(sorted, 5)) : null,
+      null95: sorted.length > 0 ? round(percentile(sorted, 95)) : null,
+    };
+  }
+
+  // Significance test stepped one random-entry backtest per step(), like Backtester.createRun().
+  // config: Backtester config; options: DEFAULT_SIGNIFICANCE_CONFIG overrides
+  function createTest(config, options = {}) {
+    config = { ...Backtester.DEFAULT_BACKTEST_CONFIG, ...config, optionsConfig: null };
+    options = { ...DEFAULT_SIGNIFICANCE_CONFIG, ...options };
+    if (config.strategy !== 'orb') {
+      throw new Error(`Random-entry baselines replay the ORB engine's exits; '${config.strategy}' is not supported`);
+    }
+    if (!['time', 'direction', 'both'].includes(options.method)) {
+      throw new Error(`Unknown baseline method '${options.method}' (available: time, direction, both)`);
+    }
+
+    const prepared = Backtester.prepareDays(config.ticker, config.numDays, config.startDate, config.strategyConfig, { benchmarks: false });
+    const actual = Backtester.run(config, prepared);
+    const strategyConfig = { ...ORBStrategy.DEFAULT_CONFIG, ...config.strategyConfig };
+    const firstMinute = strategyConfig.openingRangeMinutes + strategyConfig.avoidFirstMinutes;
+    const template = entryTemplate(actual.trades, prepared.historicalDays.length);
+    const templated = Object.values(template).reduce((n, entries) => n + entries.length, 0);
+    if (templated !== actual.trades.length) {
+      throw new Error(`Random-entry template has ${templated} entries for ${actual.trades.length} trades`);
+    }
+    const rng = MarketData.seededRandom(options.seed);
+
+    // Confidence intervals of the backtest's own figures
+    const dailyReturns = actual.equityCurve.slice(1).map((point, i) =>
+      (point.equity - actual.equityCurve[i].equity) / actual.equityCurve[i].equity * 100);
+    const bootstrap = { samples: options.bootstrapSamples, confidence: options.confidence, rng };
+    const sharpeInterval = bootstrapInterval(dailyReturns, sharpe, bootstrap);
+    const expectancyInterval = bootstrapInterval(actual.trades.map(t => t.netPnL), mean, bootstrap);
+
+    const nullSharpe = [];
+    const nullExpectancy = [];
+    const nullTrades = [];
+
+    function step() {
+      if (actual.trades.length === 0 || nullSharpe.length >= options.simulations) return false;
+      const entryPlans = randomPlans(template, prepared.historicalDays, firstMinute, options.method, rng);
+      const { metrics } = Backtester.run({ ...config, entryPlans }, prepared);
+      nullSharpe.push(metrics.sharpeRatio);
+      nullExpectancy.push(metrics.expectancy);
+      nullTrades.push(metrics.totalTrades);
+      return nullSharpe.length < options.simulations;
+    }
+
+    // The result so far; partial until every baseline has run
+    function getResult() {
+      return {
+        method: options.method,
+        seed: options.seed,
+        confidence: options.confidence,
+        simulations: nullSharpe.length,
+        actual: {
+          trades: actual.metrics.totalTrades,
+          sharpeRatio: actual.metrics.sharpeRatio,
+          expectancy: actual.metrics.expectancy,
+        },
+        avgBaselineTrades: nullTrades.length > 0 ? round(mean(nullTrades), 1) : null,
+        sharpe: compareToNull(actual.metrics.sharpeRatio, nullSharpe, sharpeInterval),
+        expectancy: compareToNull(actual.metrics.expectancy, nullExpectancy, expectancyInterval),
+        distributions: { sharpe: nullSharpe, expectancy: nullExpectancy },
+        sample: sampleCheck(actual.metrics, dailyReturns.length, options),
+        partial: actual.trades.length > 0 && nullSharpe.length < options.simulations,
+      };
+    }
+
+    return {
+      step,
+      getResult,
+      get progress() { return { done: nullSharpe.length, total: options.simulations, unit: 'simulation' }; },
+    };
+  }
+
+  function run(config, options = {}) {
+    const test = createTest(config, options);
+    while (test.step());
+    return test.getResult();
+  }
+
+  return {
+    DEFAULT_SIGNIFICANCE_CONFIG,
+    sharpe,
+    bootstrapInterval,
+    pValue,
+    sampleCheck,
+    entryTemplate,
+    randomPlans,
+    createTest,
+    run,
+  };
+})();
+
+if (typeof module !== 'undefined') module.exports = Significance;
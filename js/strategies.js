@@ -0,0 +1,589 @@
+/**
+ * Strategy Plugins
+ *
+ * The Backtester runs any registered intraday strategy on the same data, so ORB
+ * can be compared with alternatives through the same metrics, Monte Carlo and UI.
+ *
+ * What every strategy shares is runDay(): ORB.runDay's arguments and result, trades
+ * and signals in the ORB engine's shape, which the metrics, Monte Carlo and UI read.
+ *
+ * A strategy is registered with:
+ * - label, description
+ * - defaultConfig: its own settings, merged over the shared sizing, risk and
+ *   account settings (ORBStrategy.DEFAULT_CONFIG)
+ * - params: [{ key, label, step, min, max }] settings the UI can edit
+ * and either its own runDay(), for a strategy that manages its trades itself (ORB:
+ * confirmations, add-ons, partial exits, overnight holds), or the decision callbacks
+ * of a single-position strategy, which the shared runner drives:
+ * - init(config, context): once per session before its first candle; returns the
+ *   resolved config (optional)
+ * - setupDay(day): per-day state from { config, context, sentimentScore }
+ * - onCandle(state, bar): per-candle decision; bar = { candle, index, vwap, candles, position }.
+ *   Returns null, { enter: { direction, stop, target, reason } } when flat,
+ *   or { exit: reason, price } to close the open position. It is also asked about
+ *   the hypothetical trades of rejected entries, so with a position it only decides the exit
+ *
+ * The shared runner sizes entries, fills stops and targets and applies the risk and
+ * account rules. Built in: orb (own runDay), vwap_reversion, gap_fill, first_pullback.
+ */
+
+const Strategies = (() => {
+
+  // Shared sizing and the ORB engine, the account rules and short-sale rules: globals in the browser, modules in Node
+  const ORB = typeof ORBStrategy !== 'undefined' ? ORBStrategy : require('./orb-strategy');
+  const Risk = typeof RiskManager !== 'undefined' ? RiskManager : require('./risk-manager');
+  const Shorts = typeof ShortSale !== 'undefined' ? ShortSale : require('./short-sale');
+
+  const registry = {};
+
+  function register(name, strategy) {
+    registry[name] = {
+      name,
+      label: strategy.label || name,
+      description: strategy.description || '',
+      defaultConfig: strategy.defaultConfig || {},
+      params: strategy.params || [],
+      init: strategy.init || (config => config),
+      setupDay: strategy.setupDay,
+      onCandle: strategy.onCandle,
+      runDay: strategy.runDay,
+    };
+  }
+
+  function get(name) {
+    const strategy = registry[name];
+    if (!strategy) throw new Error(`Unknown strategy '${name}' (available: ${Object.keys(registry).join(', ')})`);
+    return strategy;
+  }
+
+  function list() {
+    return Object.values(registry);
+  }
+
+  // A stateful engine for one session driven by a strategy's decision hooks.
+  // options: sentimentScore, context, trackRejected, buyingPower, riskManager (see ORB.createEngine)
+  // context.ticker, context.prevClose: borrow terms and the SSR trigger when shortSaleRules is on
+  function createDecisionEngine(strategy, config, accountSize, options = {}) {
+    const { sentimentScore = 0, context = {}, trackRejected = false } = options;
+    // Shared settings, then the strategy's defaults, then the caller's overrides
+    config = strategy.init({ ...ORB.DEFAULT_CONFIG, ...strategy.defaultConfig, ...config }, context);
+    let { buyingPower = Infinity } = options;
+
+    let risk = options.riskManager;
+    if (!risk) {
+      risk = Risk.create(config, accountSize);
+      risk.startDay({ equity: accountSize });
+    }
+    const riskEventsStart = risk.events.length;
+
+    const dailyBars = config.positionSizing === 'volatility' || config.shortSaleRules
+      ? context.dailyBars || ORB.dailyBarsFromSessions(context.priorSessions || [])
+      : [];
+    const dailyAtr = config.positionSizing === 'volatility' && dailyBars.length > 0
+      ? ORB.averageTrueRange(dailyBars, config.dailyAtrPeriod) : null;
+
+    // Short-sale rules as the ORB engine applies them, except that under Rule 201 a short
+    // without an uptick is rejected: the strategy decided on this bar, not a later one
+    const borrow = config.shortSaleRules ? Shorts.borrowFor(context.ticker, config.borrowTable) : null;
+    const prevClose = context.prevClose ?? (dailyBars.length > 0 ? dailyBars[dailyBars.length - 1].close : null);
+    let ssr = config.shortSaleRules && Shorts.ssrCarriesOver(dailyBars, config.ssrThreshold)
+      ? { carriedOver: true, time: null, price: null }
+      : null;
+
+    const state = strategy.setupDay({ config, context, sentimentScore });
+    const candles = [];
+    const signals = [];
+    const trades = [];
+    const rejectedTrades = [];
+    const shadowTrades = [];
+    let activeTrade = null;
+    let tradesCount = 0;
+    // Direction of the entry requests rejected on consecutive bars, recorded once
+    let rejectedEpisode = null;
+
+    function shortSaleBlocker(candle) {
+      if (!config.shortSaleRules) return null;
+      if (borrow.status === 'unavailable') {
+        return { reason: 'no_borrow', detail: `No shares available to borrow${context.ticker ? ` for ${context.ticker}` : ''}` };
+      }
+      const prev = candles[candles.length - 2];
+      if (ssr && !(prev !== undefined && candle.close > prev.close)) {
+        return { reason: 'ssr', detail: 'Rule 201 short-sale restriction: shorts fill only on an uptick' };
+      }
+      return null;
+    }
+
+    function sizeFor(entryPrice, stopPrice, direction) {
+      const sizing = ORB.sizePosition(config, accountSize, entryPrice, stopPrice, {
+        dailyAtr,
+        tradeHistory: context.tradeHistory || [],
+        buyingPower,
+        settledCash: risk.settledCash,
+      });
+      if (risk.sizeMultiplier < 1) {
+        sizing.riskMultiplier = risk.sizeMultiplier;
+        sizing.shares = Math.floor(sizing.shares * risk.sizeMultiplier);
+        sizing.requestedShares = Math.floor(sizing.requestedShares * risk.sizeMultiplier);
+      }
+      if (direction === 'SHORT' && borrow && borrow.maxShares > 0 && sizing.shares > borrow.maxShares) {
+        sizing.detail = [sizing.detail, `${sizing.shares} shares cut to ${borrow.maxShares} available to borrow`].filter(Boolean).join('; ');
+        sizing.constraint = 'borrow';
+        sizing.shares = borrow.maxShares;
+      }
+      return sizing;
+    }
+
+    function buildTrade(candle, { direction, stop, target = null }, sizing, shares) {
+      const price = parseFloat(candle.close.toFixed(2));
+      return {
+        direction,
+        entryPrice: price,
+        entryTime: candle.time,
+        entryMinute: Math.round((candle.time - candles[0].time) / 60000),
+        sentimentScore,
+        stopLoss: parseFloat(stop.toFixed(2)),
+        currentStop: parseFloat(stop.toFixed(2)),
+        target: target !== null ? parseFloat(target.toFixed(2)) : null,
+        shares,
+        remainingShares: shares,
+        partialExits: [],
+        mfe: 0,
+        mae: 0,
+        confirmations: [],
+        setup: strategy.name,
+        fillRule: 'unambiguous',
+        ambiguousBars: 0,
+        sizing,
+        avgCost: price,
+        adds: [],
+        sessionsHeld: 0,
+        overnight: [],
+        overnightPnL: 0,
+        borrow: direction === 'SHORT' ? borrow : null,
+        ssrFill: direction === 'SHORT' && ssr !== null,
+      };
+    }
+
+    // Rejected entries carry the ORB engine's REJECTED fields; there are no confirmation filters to score.
+    // With trackRejected on, the entry is followed as a hypothetical trade
+    function rejectEntry(candle, enter, sizing, blocker) {
+      const { direction, stop } = enter;
+      if (rejectedEpisode === direction) return;
+      rejectedEpisode = direction;
+      signals.push({
+        time: candle.time,
+        type: 'REJECTED',
+        direction,
+        price: candle.close,
+        stop,
+        setup: strategy.name,
+        reasons: [blocker.reason],
+        reason: blocker.detail,
+        confirmations: [],
+        failedConfirmations: [],
+        checks: [],
+        score: 0,
+        requiredScore: 0,
+      });
+
+      if (!trackRejected) return;
+      const ignoreCaps = blocker.reason === 'sizing' || blocker.reason === 'settled_cash';
+      const shares = ignoreCaps ? sizing.requestedShares : sizing.shares;
+      if (shares <= 0) return;
+      const shadow = buildTrade(candle, enter, sizing, shares);
+      shadow.rejectionReasons = [blocker.reason];
+      shadow.failedConfirmations = [];
+      shadowTrades.push(shadow);
+    }
+
+    function openTrade(candle, enter) {
+      const { direction, stop, reason = '' } = enter;
+      const sizing = sizeFor(candle.close, stop, direction);
+      const blocker = risk.blocker(direction)
+        || (tradesCount >= config.maxTradesPerDay
+          ? { reason: 'trade_cap', detail: `Daily trade cap of ${config.maxTradesPerDay} reached` } : null)
+        || (direction === 'SHORT' ? shortSaleBlocker(candle) : null)
+        || (sizing.shares <= 0
+          ? { reason: sizing.constraint === 'settled_cash' ? 'settled_cash' : 'sizing', detail: sizing.detail || 'Position size is zero' } : null);
+      if (blocker) {
+        rejectEntry(candle, enter, sizing, blocker);
+        return;
+      }
+
+      activeTrade = buildTrade(candle, enter, sizing, sizing.shares);
+      tradesCount++;
+      rejectedEpisode = null;
+      risk.recordEntry(activeTrade);
+      signals.push({
+        time: candle.time,
+        type: 'ENTRY',
+        direction,
+        price: activeTrade.entryPrice,
+        stop,
+        shares: sizing.shares,
+        reason,
+        confirmations: [],
+        setup: strategy.name,
+        sizing: sizing.detail,
+      });
+    }
+
+    // Fill a trade's remaining shares; returns the trade
+    function fillExit(trade, candle, exitPrice, exitReason) {
+      const pnl = (trade.direction === 'LONG' ? 1 : -1) * (exitPrice - trade.avgCost) * trade.remainingShares;
+      trade.partialExits.push({
+        time: candle.time,
+        price: parseFloat(exitPrice.toFixed(2)),
+        shares: trade.remainingShares,
+        target: exitReason === 'Target' ? 1 : -1,
+        pnl: parseFloat(pnl.toFixed(2)),
+      });
+      trade.remainingShares = 0;
+      trade.exitTime = candle.time;
+      trade.exitReason = exitReason;
+      trade.totalPnL = parseFloat(pnl.toFixed(2));
+      trade.durationMinutes = Math.round((candle.time - trade.entryTime) / 60000);
+      trade.maxFavorableExcursion = trade.mfe;
+      trade.maxAdverseExcursion = trade.mae;
+      return trade;
+    }
+
+    function closeTrade(candle, exitPrice, exitReason) {
+      const trade = fillExit(activeTrade, candle, exitPrice, exitReason);
+      const closed = { ...trade };
+      trades.push(closed);
+      risk.recordTrade(closed);
+      activeTrade = null;
+      signals.push({
+        time: candle.time,
+        type: 'EXIT',
+        direction: trade.direction,
+        price: exitPrice,
+        reason: exitReason,
+        pnl: trade.totalPnL,
+      });
+      return closed;
+    }
+
+    // The exit a bar triggers for a trade, or null: the stop first (filled at the open when
+    // the bar gaps through it), then the target, the strategy's exit and the holding limit.
+    // Tracks MFE/MAE while the trade stays open
+    function exitFor(trade, candle, decision) {
+      const long = trade.direction === 'LONG';
+      if (long ? candle.low <= trade.currentStop : candle.high >= trade.currentStop) {
+        return { price: long ? Math.min(candle.open, trade.currentStop) : Math.max(candle.open, trade.currentStop), reason: 'Stop Loss' };
+      }
+      if (trade.target !== null && (long ? candle.high >= trade.target : candle.low <= trade.target)) {
+        return { price: trade.target, reason: 'Target' };
+      }
+      if (decision && decision.exit) return { price: decision.price ?? candle.close, reason: decision.exit };
+      if ((candle.time - trade.entryTime) / 60000 >= config.maxHoldingMinutes) {
+        return { price: candle.close, reason: 'Max Time' };
+      }
+      trade.mfe = Math.max(trade.mfe, long ? candle.high - trade.avgCost : trade.avgCost - candle.low);
+      trade.mae = Math.max(trade.mae, long ? trade.avgCost - candle.low : candle.high - trade.avgCost);
+      return null;
+    }
+
+    function onCandle(candle, vwap = null) {
+      const index = candles.length;
+      candles.push(candle);
+      const signalCount = signals.length;
+
+      // Rule 201 triggers on a 10% decline from the prior close and lasts the rest of the day
+      if (config.shortSaleRules && !ssr && Shorts.ssrTriggered(prevClose, candle.low, config.ssrThreshold)) {
+        ssr = { carriedOver: false, time: candle.time, price: candle.low };
+      }
+
+      const bar = { candle, index, vwap: vwap ?? candle.close, candles };
+
+      // Hypothetical trades for rejected entries exit by the same rules as a real position
+      for (const shadow of [...shadowTrades]) {
+        const exit = exitFor(shadow, candle, strategy.onCandle(state, { ...bar, position: { ...shadow } }));
+        if (!exit) continue;
+        shadowTrades.splice(shadowTrades.indexOf(shadow), 1);
+        rejectedTrades.push({ ...fillExit(shadow, candle, exit.price, exit.reason) });
+      }
+
+      const position = activeTrade ? { ...activeTrade } : null;
+      const decision = strategy.onCandle(state, { ...bar, position });
+
+      if (activeTrade) {
+        const exit = exitFor(activeTrade, candle, decision);
+        if (exit) closeTrade(candle, exit.price, exit.reason);
+      } else if (decision && decision.enter) {
+        openTrade(candle, decision.enter);
+      } else {
+        rejectedEpisode = null;
+      }
+      return signals.slice(signalCount);
+    }
+
+    // Close the open trade (and any hypothetical trades) at the last candle seen (end of day)
+    function closeOpenTrade() {
+      const lastCandle = candles[candles.length - 1];
+      for (const shadow of shadowTrades.splice(0)) {
+        rejectedTrades.push({ ...fillExit(shadow, lastCandle, lastCandle.close, 'End of Day') });
+      }
+      if (!activeTrade) return null;
+      return closeTrade(lastCandle, lastCandle.close, 'End of Day');
+    }
+
+    function setAccount(account) {
+      if (account.accountSize !== undefined) accountSize = account.accountSize;
+      if (account.buyingPower !== undefined) buyingPower = account.buyingPower;
+    }
+
+    function getResult() {
+      return {
+        strategy: strategy.name,
+        trades: [...trades],
+        activeTrade: activeTrade ? { ...activeTrade } : null,
+        openingRange: null,
+        signals: [...signals],
+        rejectedTrades: [...rejectedTrades],
+        levels: state.levels || null,
+        shortSale: config.shortSaleRules ? { borrow, ssr } : null,
+        riskEvents: risk.events.slice(riskEventsStart),
+        summary: {
+          totalTrades: trades.length,
+          winners: trades.filter(t => t.totalPnL > 0).length,
+          losers: trades.filter(t => t.totalPnL <= 0).length,
+          totalPnL: parseFloat(trades.reduce((s, t) => s + t.totalPnL, 0).toFixed(2)),
+          sizeLimited: trades.filter(t => t.sizing && t.sizing.constraint).length,
+        },
+      };
+    }
+
+    return {
+      config,
+      onCandle,
+      closeOpenTrade,
+      setAccount,
+      getResult,
+      get activeTrade() { return activeTrade ? { ...activeTrade } : null; },
+      get trades() { return [...trades]; },
+      get signals() { return [...signals]; },
+      get candleCount() { return candles.length; },
+      get tradesCount() { return tradesCount; },
+    };
+  }
+
+  // Run a strategy over one session, with the same arguments and result as ORB.runDay.
+  // Strategies without their own runDay close every position at the end of the day.
+  function runDay(name, candles, config, accountSize, vwapData = null, sentimentScore = 0, options = {}) {
+    const strategy = get(name);
+    if (strategy.runDay) return strategy.runDay(candles, config, accountSize, vwapData, sentimentScore, options);
+
+    const { closeOpenTradeAtEnd = true, context = {}, trackRejected = false, buyingPower = Infinity, riskManager } = options;
+    const engine = createDecisionEngine(strategy, config, accountSize, { sentimentScore, context, trackRejected, buyingPower, riskManager });
+    for (let i = 0; i < candles.length; i++) {
+      engine.onCandle(candles[i], vwapData ? vwapData[i] : null);
+    }
+    if (closeOpenTradeAtEnd) engine.closeOpenTrade();
+    return engine.getResult();
+  }
+
+  // ─── Built-in strategies ─────────────────────────────────
+
+  register('orb', {
+    label: 'Opening Range Breakout',
+    description: 'Trade breakouts of the first N minutes\' range with confirmation filters, partial profits and trailing stops',
+    runDay: ORB.runDay,
+  });
+
+  // Fade stretches away from VWAP once the move turns; stop beyond the stretch, exit back at VWAP
+  register('vwap_reversion', {
+    label: 'VWAP Mean Reversion',
+    description: 'Fade moves stretched away from VWAP once a bar turns back toward it; stop beyond the stretch, exit at VWAP',
+    defaultConfig: {
+      vwapWarmupMinutes: 30,         // No entries while VWAP settles
+      vwapEntryDeviation: 0.5,       // Distance from VWAP (% of price) that counts as stretched
+      vwapSwingBars: 5,              // Stop beyond the highest high (lowest low) of this many bars
+      vwapMinRewardRisk: 1,          // Skip entries where VWAP is closer than this multiple of the risk
+      lastEntryMinute: 330,          // No new entries after this minute of the session (3:00 PM)
+    },
+    params: [
+      { key: 'vwapWarmupMinutes', label: 'Warm-up (min)', step: 5, min: 1 },
+      { key: 'vwapEntryDeviation', label: 'Entry Distance from VWAP (%)', step: 0.1, min: 0.05 },
+      { key: 'vwapSwingBars', label: 'Stop Beyond (bars)', step: 1, min: 1 },
+      { key: 'vwapMinRewardRisk', label: 'Min Reward / Risk', step: 0.25, min: 0 },
+      { key: 'lastEntryMinute', label: 'Last Entry (min after open)', step: 15, min: 1 },
+    ],
+    setupDay: ({ config }) => ({ config }),
+    onCandle: ({ config }, { candle, index, vwap, candles, position }) => {
+      if (position) {
+        const reached = position.direction === 'LONG' ? candle.high >= vwap : candle.low <= vwap;
+        return reached ? { exit: 'VWAP Reached', price: vwap } : null;
+      }
+      if (index < config.vwapWarmupMinutes || index > config.lastEntryMinute || vwap <= 0) return null;
+
+      // Stretched, and the bar turned back toward VWAP
+      const deviation = (candle.close - vwap) / vwap * 100;
+      const dir = deviation >= config.vwapEntryDeviation && candle.close < candle.open ? -1
+        : deviation <= -config.vwapEntryDeviation && candle.close > candle.open ? 1
+        : 0;
+      if (dir === 0) return null;
+
+      // The stop sits beyond the stretch's extreme, outside the bar-to-bar noise; VWAP must be
+      // at least vwapMinRewardRisk times that risk away
+      const swing = candles.slice(-config.vwapSwingBars);
+      const stop = dir === 1
+        ? Math.min(...swing.map(c => c.low)) - config.stopLossBuffer
+        : Math.max(...swing.map(c => c.high)) + config.stopLossBuffer;
+      const risk = (candle.close - stop) * dir;
+      const reward = (vwap - candle.close) * dir;
+      if (risk <= 0 || reward < risk * config.vwapMinRewardRisk) return null;
+      return { enter: {
+        direction: dir === 1 ? 'LONG' : 'SHORT',
+        stop,
+        reason: `${Math.abs(deviation).toFixed(2)}% ${dir === 1 ? 'below' : 'above'} VWAP, turning ${dir === 1 ? 'up' : 'down'}`,
+      } };
+    },
+  });
+
+  // Trade an opening gap back toward the prior close once price moves against the gap
+  register('gap_fill', {
+    label: 'Gap Fill',
+    description: 'After a moderate opening gap, trade back toward the prior close once price crosses the open; target the gap fill',
+    defaultConfig: {
+      gapMinPercent: 0.3,            // Smallest gap traded (% of prior close)
+      gapMaxPercent: 2.0,            // Larger gaps tend to run rather than fill
+      gapConfirmMinutes: 5,          // Minutes after the open before an entry
+      gapEntryDeadline: 60,          // No entries after this minute of the session
+    },
+    params: [
+      { key: 'gapMinPercent', label: 'Min Gap (%)', step: 0.1, min: 0 },
+      { key: 'gapMaxPercent', label: 'Max Gap (%)', step: 0.25, min: 0.1 },
+      { key: 'gapConfirmMinutes', label: 'Wait After Open (min)', step: 1, min: 1 },
+      { key: 'gapEntryDeadline', label: 'Entry Deadline (min)', step: 5, min: 1 },
+    ],
+    setupDay: ({ config, context }) => {
+      const prevClose = context.prevClose ?? null;
+      return { config, prevClose, open: null, high: -Infinity, low: Infinity, gapPercent: null, traded: false, levels: null };
+    },
+    onCandle: (state, { candle, index, position }) => {
+      const { config } = state;
+      if (index === 0) {
+        state.open = candle.open;
+        if (state.prevClose) {
+          state.gapPercent = (candle.open - state.prevClose) / state.prevClose * 100;
+          state.levels = { prevClose: state.prevClose, open: candle.open, gapPercent: parseFloat(state.gapPercent.toFixed(2)) };
+        }
+      }
+      state.high = Math.max(state.high, candle.high);
+      state.low = Math.min(state.low, candle.low);
+      if (position || state.traded || state.gapPercent === null) return null;
+
+      const gap = Math.abs(state.gapPercent);
+      if (gap < config.gapMinPercent || gap > config.gapMaxPercent) return null;
+      if (index < config.gapConfirmMinutes || index > config.gapEntryDeadline) return null;
+
+      // Gap up: short once price trades back below the open, while the prior close is still below
+      // (the target would otherwise sit above the entry); gap down: the mirror
+      if (state.gapPercent > 0 && candle.close < state.open && candle.close > state.prevClose) {
+        state.traded = true;
+        return { enter: {
+          direction: 'SHORT',
+          stop: state.high + config.stopLossBuffer,
+          target: state.prevClose,
+          reason: `Gap up ${gap.toFixed(2)}% back below the open`,
+        } };
+      }
+      if (state.gapPercent < 0 && candle.close > state.open && candle.close < state.prevClose) {
+        state.traded = true;
+        return { enter: {
+          direction: 'LONG',
+          stop: state.low - config.stopLossBuffer,
+          target: state.prevClose,
+          reason: `Gap down ${gap.toFixed(2)}% back above the open`,
+        } };
+      }
+      return null;
+    },
+  });
+
+  // Join an established opening trend on its first pullback, when the trend resumes
+  register('first_pullback', {
+    label: 'First Pullback',
+    description: 'After a strong opening trend, buy (or short) the first pullback once a bar breaks the prior bar\'s high (low)',
+    defaultConfig: {
+      pullbackTrendMinutes: 30,      // Opening window the trend is measured over
+      pullbackMinTrend: 0.5,         // Move from the open (%) that counts as a trend
+      pullbackRetrace: 0.382,        // Retracement of the move (or a touch of VWAP) that counts as the pullback
+      pullbackRewardRisk: 2,         // Target at this multiple of the risk
+      lastEntryMinute: 330,          // No new entries after this minute of the session (3:00 PM)
+    },
+    params: [
+      { key: 'pullbackTrendMinutes', label: 'Trend Window (min)', step: 5, min: 5 },
+      { key: 'pullbackMinTrend', label: 'Min Trend (%)', step: 0.1, min: 0.1 },
+      { key: 'pullbackRetrace', label: 'Pullback (fraction of move)', step: 0.05, min: 0.05, max: 1 },
+      { key: 'pullbackRewardRisk', label: 'Target (x risk)', step: 0.5, min: 0.5 },
+      { key: 'lastEntryMinute', label: 'Last Entry (min after open)', step: 15, min: 1 },
+    ],
+    setupDay: ({ config }) => ({ config, open: null, trend: null, extreme: null, pullback: null, done: false, levels: null }),
+    onCandle: (state, { candle, index, vwap, candles, position }) => {
+      const { config } = state;
+      if (index === 0) state.open = candle.open;
+      if (position || state.done) return null;
+
+      // Trend at the end of the opening window
+      if (index < config.pullbackTrendMinutes - 1) return null;
+      if (state.trend === null) {
+        const move = (candle.close - state.open) / state.open * 100;
+        const dir = move > 0 ? 1 : -1;
+        if (Math.abs(move) < config.pullbackMinTrend || (candle.close - vwap) * dir <= 0) {
+          state.done = true;
+          return null;
+        }
+        const window = candles.slice(0, index + 1);
+        state.trend = dir;
+        state.extreme = dir === 1 ? Math.max(...window.map(c => c.high)) : Math.min(...window.map(c => c.low));
+        state.levels = { open: state.open, trendPercent: parseFloat(move.toFixed(2)) };
+        return null;
+      }
+
+      const dir = state.trend;
+      // The trend failed: price back through the open
+      if ((candle.close - state.open) * dir < 0 || index > config.lastEntryMinute) {
+        state.done = true;
+        return null;
+      }
+      if (!state.pullback) {
+        if ((dir === 1 ? candle.high : candle.low) * dir > state.extreme * dir) {
+          state.extreme = dir === 1 ? candle.high : candle.low;
+        }
+        const retrace = (state.extreme - (dir === 1 ? candle.low : candle.high)) * dir / ((state.extreme - state.open) * dir);
+        if (retrace >= config.pullbackRetrace || (dir === 1 ? candle.low <= vwap : candle.high >= vwap)) {
+          state.pullback = { extreme: dir === 1 ? candle.low : candle.high };
+        }
+        return null;
+      }
+
+      // Track the pullback's low (high) until a bar breaks the prior bar's high (low)
+      const prev = candles[index - 1];
+      state.pullback.extreme = dir === 1 ? Math.min(state.pullback.extreme, candle.low) : Math.max(state.pullback.extreme, candle.high);
+      if ((candle.close - (dir === 1 ? prev.high : prev.low)) * dir <= 0) return null;
+
+      state.done = true;
+      const stop = state.pullback.extreme - dir * config.stopLossBuffer;
+      const risk = (candle.close - stop) * dir;
+      if (risk <= 0) return null;
+      return { enter: {
+        direction: dir === 1 ? 'LONG' : 'SHORT',
+        stop,
+        target: candle.close + dir * risk * config.pullbackRewardRisk,
+        reason: `First pullback in a ${state.levels.trendPercent}% opening trend`,
+      } };
+    },
+  });
+
+  return {
+    register,
+    get,
+    list,
+    runDay,
+  };
+})();
+
+if (typeof module !== 'undefined') module.exports = Strategies;
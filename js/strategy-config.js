@@ -0,0 +1,349 @@
+/**
+ * Strategy Config Schema and Presets
+ *
+ * The ORB engine merges whatever it is given over DEFAULT_CONFIG. This module
+ * says what a valid config looks like:
+ * - SCHEMA: type, range or allowed values of every setting
+ * - Cross-field rules (partial exits summing to 100%, a reachable minimum
+ *   confirmation score, min/max pairs in the right order, ...)
+ * - validateConfig(): every problem as { key, message }
+ * - Named presets, exported and imported as JSON by the Strategy tab and the
+ *   Node scripts alike
+ * - migrateConfig(): settings saved before the confirmation filter registry,
+ *   rewritten so they take the same trades under the weighted score
+ */
+
+const StrategyConfig = (() => {
+
+  // Engine and filter registry: globals in the browser, modules in Node
+  const Strategy = typeof ORBStrategy !== 'undefined' ? ORBStrategy : require('./orb-strategy');
+  const Filters = typeof ConfirmationFilters !== 'undefined'
+    ? ConfirmationFilters
+    : require('./confirmation-filters');
+
+  // type: 'number', 'integer', 'boolean', 'enum' (values), 'numbers' (array of numbers
+  // with min/max per item) or 'object'; min and max are inclusive. Settings of the other
+  // built-in strategies name them in `strategies` and are checked only when present
+  const SCHEMA = {
+    openingRangeMinutes: { type: 'integer', min: 1, max: 120, label: 'Opening range minutes' },
+    confirmationType: { type: 'enum', values: ['close', 'wick'], label: 'Breakout confirmation' },
+    volumeConfirmation: { type: 'boolean', label: 'Volume confirmation' },
+    volumeMultiplier: { type: 'number', min: 0, max: 20, label: 'Volume multiplier' },
+    vwapConfirmation: { type: 'boolean', label: 'VWAP confirmation' },
+    sentimentConfirmation: { type: 'boolean', label: 'Sentiment confirmation' },
+    minConfirmations: { type: 'number', min: 0, label: 'Min confirmations' },
+    confirmationFilters: { type: 'object', label: 'Confirmation filters' },
+    riskRewardTargets: { type: 'numbers', min: 0, minLength: 1, label: 'Range targets' },
+    targetMode: { type: 'enum', values: ['range', 'atr', 'percent'], label: 'Profit targets' },
+    atrTargets: { type: 'numbers', min: 0, minLength: 1, label: 'ATR targets' },
+    percentTargets: { type: 'numbers', min: 0, minLength: 1, label: 'Percent targets' },
+    positionSizing: { type: 'enum', values: ['fixed_risk', 'fixed_shares', 'fixed_notional', 'volatility', 'kelly'], label: 'Position sizing' },
+    riskPerTrade: { type: 'number', min: 0, max: 1, label: 'Risk per trade' },
+    fixedShares: { type: 'integer', min: 1, label: 'Fixed shares' },
+    fixedNotional: { type: 'number', min: 1, label: 'Fixed notional' },
+    volatilityTarget: { type: 'number', min: 0, max: 1, label: 'Volatility target' },
+    kellyMultiplier: { type: 'number', min: 0, max: 1, label: 'Kelly multiplier' },
+    kellyLookbackTrades: { type: 'integer', min: 1, label: 'Kelly lookback trades' },
+    kellyMinTrades: { type: 'integer', min: 1, label: 'Kelly min trades' },
+    kellyMaxRisk: { type: 'number', min: 0, max: 1, label: 'Kelly max risk' },
+    maxNotionalPerTrade: { type: 'number', min: 0, label: 'Max notional per trade' },
+    maxLeverage: { type: 'number', min: 0, max: 50, label: 'Max leverage' },
+    pyramiding: { type: 'boolean', label: 'Pyramiding' },
+    pyramidTrigger: { type: 'enum', values: ['range', 'vwap'], label: 'Pyramid trigger' },
+    pyramidLevels: { type: 'numbers', min: 0, label: 'Pyramid levels' },
+    pyramidVwapBars: { type: 'integer', min: 1, label: 'Pyramid VWAP bars' },
+    pyramidMaxAdds: { type: 'integer', min: 0, max: 10, label: 'Max add-ons' },
+    pyramidAddFraction: { type: 'number', min: 0, max: 5, label: 'Add-on size' },
+    pyramidStopRule: { type: 'enum', values: ['unchanged', 'breakeven', 'last_add'], label: 'Stop after an add' },
+    pyramidMaxRisk: { type: 'number', min: 0, max: 1, label: 'Pyramid max risk' },
+    maxTradesPerDay: { type: 'integer', min: 1, max: 50, label: 'Max trades per day' },
+    maxDailyLoss: { type: 'number', min: 0, label: 'Max daily loss' },
+    maxDailyLossPercent: { type: 'number', min: 0, max: 100, label: 'Max daily loss %' },
+    maxConsecutiveLosses: { type: 'integer', min: 0, label: 'Max consecutive losses' },
+    drawdownSizeCut: { type: 'number', min: 0, max: 1, label: 'Drawdown size cut' },
+    drawdownSizeMultiplier: { type: 'number', min: 0, max: 1, label: 'Size during drawdown' },
+    equityMaPeriod: { type: 'integer', min: 0, label: 'Equity curve MA' },
+    equityPauseDays: { type: 'integer', min: 1, label: 'Equity curve pause' },
+    accountType: { type: 'enum', values: ['none', 'margin', 'cash'], label: 'Account type' },
+    pdtFlagged: { type: 'boolean', label: 'Flagged PDT' },
+    trailingStop: { type: 'boolean', label: 'Trailing stop' },
+    trailingStopActivation: { type: 'number', min: 0, label: 'Trailing activation' },
+    trailingStopDistance: { type: 'number', min: 0, label: 'Trailing distance' },
+    trailingStopMode: { type: 'enum', values: ['range', 'atr', 'bars', 'vwap'], label: 'Trailing mode' },
+    trailingAfterTarget: { type: 'integer', min: 1, label: 'Trail after target' },
+    trailingAtrPeriod: { type: 'integer', min: 1, label: 'Trailing ATR period' },
+    trailingAtrMultiplier: { type: 'number', min: 0, label: 'Trailing ATR multiple' },
+    trailingLookbackBars: { type: 'integer', min: 1, label: 'Trailing lookback bars' },
+    usePartialProfits: { type: 'boolean', label: 'Partial profits' },
+    partialProfitPercents: { type: 'numbers', min: 0, max: 1, minLength: 1, label: 'Partial exit sizes' },
+    maxHoldingMinutes: { type: 'integer', min: 1, max: 390, label: 'Max holding minutes' },
+    overnightHold: { type: 'enum', values: ['never', 'beyond_target', 'trail_intact', 'always'], label: 'Overnight hold' },
+    maxHoldingDays: { type: 'integer', min: 1, max: 20, label: 'Max nights held' },
+    reentryAfterStop: { type: 'enum', values: ['any', 'same', 'opposite', 'none'], label: 'Re-entry after stop' },
+    cooldownMinutes: { type: 'integer', min: 0, max: 390, label: 'Cooldown minutes' },
+    failedBreakoutReversal: { type: 'boolean', label: 'Failed-breakout reversal' },
+    failedBreakoutMinutes: { type: 'integer', min: 1, max: 390, label: 'Failed-breakout window' },
+    avoidFirstMinutes: { type: 'integer', min: 0, max: 390, label: 'Avoid first minutes' },
+    stopLossBuffer: { type: 'number', min: 0, label: 'Stop buffer' },
+    stopMode: { type: 'enum', values: ['range', 'atr', 'percent'], label: 'Stop placement' },
+    stopAtrMultiple: { type: 'number', min: 0, label: 'Stop ATR multiple' },
+    stopPercent: { type: 'number', min: 0, max: 100, label: 'Stop percent' },
+    dailyAtrPeriod: { type: 'integer', min: 1, label: 'Daily ATR period' },
+    minRangeAtr: { type: 'number', min: 0, label: 'Min range / ATR' },
+    maxRangeAtr: { type: 'number', min: 0, label: 'Max range / ATR' },
+    narrowRangeDays: { type: 'integer', min: 0, max: 20, label: 'Narrow-range days' },
+    breakEvenAfterTarget1: { type: 'boolean', label: 'Break-even after target 1' },
+    shortSaleRules: { type: 'boolean', label: 'Short-sale rules' },
+    ssrThreshold: { type: 'number', min: 0, max: 1, label: 'SSR trigger' },
+    borrowTable: { type: 'object', label: 'Borrow table' },
+    fillModel: { type: 'enum', values: ['conservative', 'optimistic', 'path'], label: 'Fill model' },
+    vwapWarmupMinutes: { type: 'integer', min: 1, max: 390, label: 'VWAP warm-up minutes', strategies: ['vwap_reversion'] },
+    vwapEntryDeviation: { type: 'number', min: 0.05, max: 10, label: 'VWAP entry distance', strategies: ['vwap_reversion'] },
+    vwapSwingBars: { type: 'integer', min: 1, max: 60, label: 'VWAP stop bars', strategies: ['vwap_reversion'] },
+    vwapMinRewardRisk: { type: 'number', min: 0, max: 10, label: 'VWAP min reward / risk', strategies: ['vwap_reversion'] },
+    lastEntryMinute: { type: 'integer', min: 1, max: 390, label: 'Last entry minute', strategies: ['vwap_reversion', 'first_pullback'] },
+    gapMinPercent: { type: 'number', min: 0, max: 20, label: 'Min gap', strategies: ['gap_fill'] },
+    gapMaxPercent: { type: 'number', min: 0.1, max: 20, label: 'Max gap', strategies: ['gap_fill'] },
+    gapConfirmMinutes: { type: 'integer', min: 1, max: 390, label: 'Gap wait after open', strategies: ['gap_fill'] },
+    gapEntryDeadline: { type: 'integer', min: 1, max: 390, label: 'Gap entry deadline', strategies: ['gap_fill'] },
+    pullbackTrendMinutes: { type: 'integer', min: 5, max: 390, label: 'Pullback trend window', strategies: ['first_pullback'] },
+    pullbackMinTrend: { type: 'number', min: 0.1, max: 20, label: 'Pullback min trend', strategies: ['first_pullback'] },
+    pullbackRetrace: { type: 'number', min: 0.05, max: 1, label: 'Pullback retracement', strategies: ['first_pullback'] },
+    pullbackRewardRisk: { type: 'number', min: 0.5, max: 20, label: 'Pullback target', strategies: ['first_pullback'] },
+  };
+
+  // Target levels the engine will use (same choice as the engine's target mode)
+  function targetLevels(config) {
+    if (config.targetMode === 'atr') return config.atrTargets;
+    if (config.targetMode === 'percent') return config.percentTargets;
+    return config.riskRewardTargets;
+  }
+
+  // Rules between settings: each returns { key, message } or null
+  const CROSS_RULES = [
+    config => {
+      if (!config.usePartialProfits || !Array.isArray(config.partialProfitPercents)) return null;
+      const sum = config.partialProfitPercents.reduce((a, b) => a + b, 0);
+      return Math.abs(sum - 1) > 0.001
+        ? { key: 'partialProfitPercents', message: `Partial exit sizes add up to ${Math.round(sum * 1000) / 10}%, not 100%` }
+        : null;
+    },
+    config => {
+      const levels = targetLevels(config);
+      if (!config.usePartialProfits || !Array.isArray(levels) || !Array.isArray(config.partialProfitPercents)) return null;
+      return config.partialProfitPercents.length !== levels.length
+        ? { key: 'partialProfitPercents', message: `${config.partialProfitPercents.length} partial exit sizes for ${levels.length} profit targets` }
+        : null;
+    },
+    config => {
+      const levels = targetLevels(config);
+      if (!Array.isArray(levels)) return null;
+      const ascending = levels.every((level, i) => i === 0 || level > levels[i - 1]);
+      return ascending ? null : { key: 'targetMode', message: 'Profit targets must be in increasing order' };
+    },
+    config => {
+      const levels = targetLevels(config);
+      if (!config.usePartialProfits || !config.trailingStop || !Array.isArray(levels)) return null;
+      return config.trailingAfterTarget > levels.length
+        ? { key: 'trailingAfterTarget', message: `Trailing starts after target ${config.trailingAfterTarget}, but there are only ${levels.length} targets` }
+        : null;
+    },
+    config => {
+      const enabled = Filters.resolve(config);
+      const total = enabled.reduce((sum, f) => sum + f.weight, 0);
+      return config.minConfirmations > total
+        ? { key: 'minConfirmations', message: `Min confirmations ${config.minConfirmations} is above the ${total} available from ${enabled.length} enabled filter${enabled.length === 1 ? '' : 's'}; no breakout can be taken` }
+        : null;
+    },
+    config => {
+      const names = Filters.list().map(f => f.name);
+      for (const [name, override] of Object.entries(config.confirmationFilters || {})) {
+        if (!names.includes(name)) return { key: 'confirmationFilters', message: `Unknown confirmation filter '${name}'` };
+        if (override && override.weight !== undefined && !(override.weight >= 0)) {
+          return { key: 'confirmationFilters', message: `Weight of the '${name}' filter must be 0 or more` };
+        }
+      }
+      return null;
+    },
+    config => (config.minRangeAtr > 0 && config.maxRangeAtr > 0 && config.minRangeAtr >= config.maxRangeAtr
+      ? { key: 'maxRangeAtr', message: `Max range / ATR ${config.maxRangeAtr} must be above the min ${config.minRangeAtr}` }
+      : null),
+    config => (config.openingRangeMinutes + config.avoidFirstMinutes >= 390
+      ? { key: 'avoidFirstMinutes', message: 'Opening range and skipped minutes cover the whole session' }
+      : null),
+    config => (config.kellyMinTrades > config.kellyLookbackTrades
+      ? { key: 'kellyMinTrades', message: `Kelly needs ${config.kellyMinTrades} trades but only looks back ${config.kellyLookbackTrades}` }
+      : null),
+    config => (config.gapMinPercent >= config.gapMaxPercent
+      ? { key: 'gapMaxPercent', message: `Max gap ${config.gapMaxPercent}% must be above the min ${config.gapMinPercent}%` }
+      : null),
+    config => (config.gapConfirmMinutes > config.gapEntryDeadline
+      ? { key: 'gapEntryDeadline', message: `Gap entry deadline ${config.gapEntryDeadline} comes before the ${config.gapConfirmMinutes}-minute wait ends` }
+      : null),
+    config => (config.pdtFlagged && config.accountType !== 'margin'
+      ? { key: 'pdtFlagged', message: 'Only a margin account can be flagged as a pattern day trader' }
+      : null),
+  ];
+
+  function typeError(key, value, spec) {
+    const name = `${spec.label} (${key})`;
+    switch (spec.type) {
+      case 'boolean':
+        return typeof value === 'boolean' ? null : `${name} must be true or false`;
+      case 'enum':
+        return spec.values.includes(value) ? null : `${name} must be one of ${spec.values.map(v => `'${v}'`).join(', ')}`;
+      case 'object':
+        return value !== null && typeof value === 'object' && !Array.isArray(value) ? null : `${name} must be an object`;
+      case 'numbers': {
+        if (!Array.isArray(value)) return `${name} must be a list of numbers`;
+        if (spec.minLength && value.length < spec.minLength) return `${name} needs at least ${spec.minLength} value${spec.minLength === 1 ? '' : 's'}`;
+        const bad = value.find(v => rangeError(v, spec) !== null);
+        return bad === undefined ? null : `${name}: ${bad} ${rangeError(bad, spec)}`;
+      }
+      default: {
+        if (typeof value !== 'number' || !Number.isFinite(value)) return `${name} must be a number`;
+        if (spec.type === 'integer' && !Number.isInteger(value)) return `${name} must be a whole number`;
+        const range = rangeError(value, spec);
+        return range === null ? null : `${name} ${range}`;
+      }
+    }
+  }
+
+  function rangeError(value, spec) {
+    if (typeof value !== 'number' || !Number.isFinite(value)) return 'is not a number';
+    if (spec.min !== undefined && value < spec.min) return `must be at least ${spec.min}`;
+    if (spec.max !== undefined && value > spec.max) return `must be at most ${spec.max}`;
+    return null;
+  }
+
+  // Check a strategy config (merged over DEFAULT_CONFIG), with the selected strategy's own
+  // settings when it is not ORB. Returns { valid, errors: [{ key, message }] }
+  function validateConfig(config) {
+    const errors = [];
+    for (const key of Object.keys(config)) {
+      if (!SCHEMA[key]) errors.push({ key, message: `Unknown setting '${key}'` });
+    }
+    const merged = { ...Strategy.DEFAULT_CONFIG, ...config };
+    for (const [key, spec] of Object.entries(SCHEMA)) {
+      if (spec.strategies && merged[key] === undefined) continue;
+      const message = typeError(key, merged[key], spec);
+      if (message) errors.push({ key, message });
+    }
+    // Cross-field rules assume each field is well formed on its own
+    if (errors.length === 0) {
+      for (const rule of CROSS_RULES) {
+        const error = rule(merged);
+        if (error) errors.push(error);
+      }
+    }
+    return { valid: errors.length === 0, errors };
+  }
+
+  // Presets are overrides of DEFAULT_CONFIG
+  const PRESETS = {
+    standard: {
+      label: 'Standard',
+      description: 'The defaults described in the Learn tab: 15-minute range, 2 of 3 confirmations, 2% risk, 2 trades a day',
+      config: {},
+    },
+    conservative: {
+      label: 'Conservative',
+      description: '30-minute range, every confirmation, 1% risk, one trade a day and tight account limits',
+      config: {
+        openingRangeMinutes: 30,
+        volumeMultiplier: 2,
+        minConfirmations: 3,
+        riskPerTrade: 0.01,
+        maxTradesPerDay: 1,
+        maxLeverage: 2,
+        maxDailyLossPercent: 2,
+        maxConsecutiveLosses: 2,
+        drawdownSizeCut: 0.05,
+        reentryAfterStop: 'none',
+        maxRangeAtr: 0.6,
+      },
+    },
+    aggressive: {
+      label: 'Aggressive',
+      description: '5-minute range, wick breakouts, 1 confirmation, 3% risk, pyramiding and failed-breakout reversals',
+      config: {
+        openingRangeMinutes: 5,
+        confirmationType: 'wick',
+        minConfirmations: 1,
+        riskPerTrade: 0.03,
+        maxTradesPerDay: 4,
+        pyramiding: true,
+        failedBreakoutReversal: true,
+        trailingAfterTarget: 2,
+      },
+    },
+  };
+
+  function getPreset(name) {
+    const preset = PRESETS[name];
+    if (!preset) throw new Error(`Unknown preset '${name}' (available: ${Object.keys(PRESETS).join(', ')})`);
+    return { name, ...preset, config: { ...Strategy.DEFAULT_CONFIG, ...preset.config } };
+  }
+
+  // Settings that differ from DEFAULT_CONFIG
+  function overridesOf(config) {
+    return Object.fromEntries(Object.entries(config).filter(([key, value]) =>
+      JSON.stringify(value) !== JSON.stringify(Strategy.DEFAULT_CONFIG[key])));
+  }
+
+  // Before the filter registry a disabled volume, VWAP or sentiment check counted as passed
+  // toward minConfirmations; the weighted score leaves it out. A config without a
+  // confirmationFilters map predates the registry, so its required score drops by one
+  // for each check it turned off
+  function migrateConfig(config) {
+    if (config.confirmationFilters !== undefined) return config;
+    const disabled = Object.values(Filters.LEGACY_TOGGLES).filter(key => config[key] === false).length;
+    if (disabled === 0) return config;
+    const required = config.minConfirmations ?? Strategy.DEFAULT_CONFIG.minConfirmations;
+    return { ...config, minConfirmations: Math.max(0, required - disabled) };
+  }
+
+  // A config as preset JSON; only settings that differ from the defaults are written
+  function exportPreset(name, config, description = '') {
+    return JSON.stringify({ format: 'orb-preset', version: 1, name, description, config: overridesOf(config) }, null, 2);
+  }
+
+  // Parse preset JSON (or a bare config object) and validate it.
+  // Returns { name, description, config (merged over the defaults), valid, errors }
+  function importPreset(json) {
+    let data;
+    try {
+      data = typeof json === 'string' ? JSON.parse(json) : json;
+    } catch (error) {
+      return { name: null, description: '', config: null, valid: false, errors: [{ key: null, message: `Not valid JSON: ${error.message}` }] };
+    }
+    if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+      return { name: null, description: '', config: null, valid: false, errors: [{ key: null, message: 'A preset must be a JSON object' }] };
+    }
+    // Exported presets wrap the settings in `config`; a bare settings object works too,
+    // and may be one saved before the filter registry
+    const wrapped = data.format === 'orb-preset' || (data.config !== null && typeof data.config === 'object');
+    const overrides = wrapped ? data.config || {} : migrateConfig(data);
+    const { valid, errors } = validateConfig(overrides);
+    return {
+      name: wrapped && data.name ? data.name : 'imported',
+      description: data.description || '',
+      config: { ...Strategy.DEFAULT_CONFIG, ...overrides },
+      valid,
+      errors,
+    };
+  }
+
+  return {
+    SCHEMA,
+    PRESETS,
+    validateConfig,
+    getPreset,
+    overridesOf,
+    migrateConfig,
+    exportPreset,
+    importPreset,
+  };
+})();
+
+if (typeof module !== 'undefined') module.exports = StrategyConfig;
@@ -0,0 +1,174 @@
+/**
+ * Trade Analytics
+ *
+ * Where a backtest's edge comes from, from its closed (net of costs) trades:
+ * - Breakdowns by weekday, entry time after the opening range, exit reason,
+ *   confirmation combination, opening-range size quartile and sentiment bucket
+ * - MFE/MAE scatter points in R multiples (of the initial stop distance)
+ * - Exit efficiency: the share of the best available move each trade captured
+ *
+ * The Backtester and Portfolio results carry analyze()'s output as `analytics`.
+ */
+
+const TradeAnalytics = (() => {
+
+  const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+  // Minutes after the opening range: [upper bound, label]
+  const ENTRY_BUCKETS = [
+    [15, '0-15 min'],
+    [30, '15-30 min'],
+    [60, '30-60 min'],
+    [120, '1-2 hours'],
+    [Infinity, '2+ hours'],
+  ];
+
+  // Sentiment score (-10..10) buckets, on the same thresholds as SentimentAnalysis
+  const SENTIMENT_BUCKETS = [
+    [-4, 'Strong Bearish (< -4)'],
+    [-1.5, 'Bearish (-4 to -1.5)'],
+    [1.5, 'Neutral (-1.5 to 1.5)'],
+    [4, 'Bullish (1.5 to 4)'],
+    [Infinity, 'Strong Bullish (> 4)'],
+  ];
+
+  const round = (value, places = 2) => parseFloat(value.toFixed(places));
+  const bucket = (buckets, value) => buckets.find(([upper]) => value <= upper)[1];
+
+  // Trade count, win rate and P&L of each group, in the order of `order` (then first seen)
+  function breakdown(trades, keyFn, order = []) {
+    const groups = new Map(order.map(key => [key, []]));
+    for (const trade of trades) {
+      const key = keyFn(trade);
+      if (key === null) continue;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(trade);
+    }
+    return [...groups.entries()]
+      .filter(([, group]) => group.length > 0)
+      .map(([key, group]) => {
+        const winners = group.filter(t => t.netPnL > 0);
+        const netPnL = group.reduce((s, t) => s + t.netPnL, 0);
+        const grossWin = winners.reduce((s, t) => s + t.netPnL, 0);
+        const grossLoss = Math.abs(group.filter(t => t.netPnL <= 0).reduce((s, t) => s + t.netPnL, 0));
+        return {
+          key,
+          trades: group.length,
+          winRate: round(winners.length / group.length * 100, 1),
+          netPnL: round(netPnL),
+          avgPnL: round(netPnL / group.length),
+          profitFactor: grossLoss > 0 ? round(grossWin / grossLoss) : grossWin > 0 ? Infinity : 0,
+        };
+      });
+  }
+
+  // Opening-range size as % of the entry price, or null for trades without a range
+  const rangePercent = trade => trade.range && trade.range.rangeSize > 0
+    ? trade.range.rangeSize / trade.entryPrice * 100 : null;
+
+  // Quartile labels of the trades' opening-range sizes
+  function rangeQuartiles(trades) {
+    const sizes = trades.map(rangePercent).filter(v => v !== null).sort((a, b) => a - b);
+    if (sizes.length === 0) return { keyFn: () => null, order: [] };
+    const cuts = [0.25, 0.5, 0.75].map(q => sizes[Math.floor((sizes.length - 1) * q)]);
+    const labels = [
+      `Q1 (≤ ${cuts[0].toFixed(2)}%)`,
+      `Q2 (≤ ${cuts[1].toFixed(2)}%)`,
+      `Q3 (≤ ${cuts[2].toFixed(2)}%)`,
+      `Q4 (> ${cuts[2].toFixed(2)}%)`,
+    ];
+    return {
+      keyFn: trade => {
+        const size = rangePercent(trade);
+        if (size === null) return null;
+        const q = cuts.findIndex(cut => size <= cut);
+        return labels[q === -1 ? 3 : q];
+      },
+      order: labels,
+    };
+  }
+
+  // Initial risk per share: entry to the first stop
+  const riskPerShare = trade => Math.abs(trade.entryPrice - trade.stopLoss);
+
+  // MFE/MAE of each trade in $ per share and R multiples, with its result
+  function excursions(trades) {
+    return trades.map(trade => {
+      const risk = riskPerShare(trade);
+      const mfe = trade.maxFavorableExcursion ?? trade.mfe ?? 0;
+      const mae = trade.maxAdverseExcursion ?? trade.mae ?? 0;
+      const pnlPerShare = trade.shares > 0 ? trade.grossPnL / trade.shares : 0;
+      return {
+        day: trade.day,
+        direction: trade.direction,
+        mfe: round(mfe, 4),
+        mae: round(mae, 4),
+        pnlPerShare: round(pnlPerShare, 4),
+        mfeR: risk > 0 ? round(mfe / risk) : null,
+        maeR: risk > 0 ? round(mae / risk) : null,
+        pnlR: risk > 0 ? round(pnlPerShare / risk) : null,
+        netPnL: trade.netPnL,
+        win: trade.netPnL > 0,
+      };
+    });
+  }
+
+  // Captured vs available move: gross P&L per share over the MFE, for trades that had a favorable move.
+  // Each trade's is capped at ±100%, so losers with a tiny MFE don't swamp the average
+  function exitEfficiency(points) {
+    const withMove = points.filter(p => p.mfe > 0);
+    const efficiency = p => Math.max(-1, Math.min(1, p.pnlPerShare / p.mfe));
+    const avg = values => values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : 0;
+    const captured = withMove.map(efficiency);
+    const sorted = [...captured].sort((a, b) => a - b);
+    const inR = withMove.filter(p => p.mfeR !== null);
+    return {
+      trades: withMove.length,
+      avgEfficiency: round(avg(captured) * 100, 1),
+      medianEfficiency: sorted.length > 0 ? round(sorted[Math.floor(sorted.length / 2)] * 100, 1) : 0,
+      winnerEfficiency: round(avg(withMove.filter(p => p.win).map(efficiency)) * 100, 1),
+      avgMfeR: round(avg(inR.map(p => p.mfeR))),
+      avgGivenBackR: round(avg(inR.map(p => p.mfeR - p.pnlR))),
+      // Losers that were at least 1R in profit first
+      losersAfter1R: points.filter(p => !p.win && p.mfeR !== null && p.mfeR >= 1).length,
+    };
+  }
+
+  // All breakdowns for a list of closed trades. openingRangeMinutes: where entry-time buckets start
+  function analyze(trades, { openingRangeMinutes = 15 } = {}) {
+    const quartiles = rangeQuartiles(trades);
+    const scatter = excursions(trades);
+    return {
+      trades: trades.length,
+      byWeekday: breakdown(trades,
+        trade => WEEKDAYS[new Date(trade.date ? `${trade.date}T12:00:00Z` : trade.entryTime).getUTCDay()],
+        WEEKDAYS.slice(1, 6)),
+      byEntryTime: breakdown(trades,
+        trade => trade.entryMinute !== undefined ? bucket(ENTRY_BUCKETS, trade.entryMinute - openingRangeMinutes) : null,
+        ENTRY_BUCKETS.map(([, label]) => label)),
+      byExitReason: breakdown(trades, trade => trade.exitReason || 'Open')
+        .sort((a, b) => b.trades - a.trades),
+      byConfirmations: breakdown(trades, trade => (trade.confirmations || []).length > 0
+        ? [...trade.confirmations].sort().join(' + ') : 'None')
+        .sort((a, b) => b.trades - a.trades),
+      byRangeSize: breakdown(trades, quartiles.keyFn, quartiles.order),
+      bySentiment: breakdown(trades,
+        trade => trade.sentimentScore !== undefined ? bucket(SENTIMENT_BUCKETS, trade.sentimentScore) : null,
+        SENTIMENT_BUCKETS.map(([, label]) => label)),
+      scatter,
+      exitEfficiency: exitEfficiency(scatter),
+    };
+  }
+
+  return {
+    WEEKDAYS,
+    ENTRY_BUCKETS,
+    SENTIMENT_BUCKETS,
+    breakdown,
+    excursions,
+    exitEfficiency,
+    analyze,
+  };
+})();
+
+if (typeof module !== 'undefined') module.exports = TradeAnalytics;
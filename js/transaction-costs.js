@@ -0,0 +1,155 @@
+/**
+ * Transaction Costs
+ *
+ * Itemized trading friction for a closed stock trade, order by order (the
+ * entry, each add-on and each partial or final exit):
+ * - Commission per share with a per-order minimum and a cap as a % of the order's value
+ * - Regulatory fees on sells: the SEC Section 31 fee on proceeds and the FINRA
+ *   Trading Activity Fee (TAF) per share, capped per order. Short entries are sells.
+ * - Slippage in cents per share or basis points of price, scaled by the fill
+ *   bar's range against the bars before it and by the order's share of the bar's volume
+ *
+ * The Backtester and Portfolio charge tradeCosts() when config.costModel is set;
+ * without one they keep the flat per-share commission and per-trade slippage.
+ */
+
+const TransactionCosts = (() => {
+
+  const DEFAULT_COST_MODEL = {
+    commissionPerShare: 0.005,     // $ per share, every order
+    commissionMin: 1.00,           // $ minimum per order
+    commissionMaxPercent: 1.0,     // Cap per order, % of the order's value (0 = no cap)
+    secFeeRate: 27.80,             // SEC fee, $ per $1M of sale proceeds
+    tafPerShare: 0.000166,         // FINRA TAF, $ per share sold
+    tafMax: 8.30,                  // FINRA TAF cap per order
+    slippageMode: 'cents',         // 'cents' (slippageCents per share) or 'bps' (slippageBps of price)
+    slippageCents: 1,              // Cents per share per order ('cents')
+    slippageBps: 2,                // Basis points of price per order ('bps')
+    volatilityScaling: true,       // Scale slippage by the fill bar's range vs the prior volatilityBars bars
+    volatilityBars: 20,
+    maxVolatilityScale: 3,         // The scale stays within 1/N .. N
+    impactBps: 10,                 // Market impact: N bps x sqrt(order shares / bar volume); 0 = off
+  };
+
+  const round = (value, places = 2) => parseFloat(value.toFixed(places));
+
+  // Candles a trade's fills can be matched to by time, e.g. the prior and current session
+  function indexCandles(candles) {
+    return { candles, byTime: new Map(candles.map((c, i) => [+c.time, i])) };
+  }
+
+  // Orders of a closed trade: the initial entry, any add-ons and each exit
+  function orders(trade) {
+    const adds = trade.adds || [];
+    const long = trade.direction === 'LONG';
+    const exits = trade.partialExits && trade.partialExits.length > 0
+      ? trade.partialExits
+      : [{ time: trade.exitTime, price: trade.exitPrice, shares: trade.shares, target: -1 }];
+    return [
+      { type: 'entry', time: trade.entryTime, price: trade.entryPrice, shares: trade.shares - adds.reduce((s, a) => s + a.shares, 0), sell: !long },
+      ...adds.map(add => ({ type: 'add', time: add.time, price: add.price, shares: add.shares, sell: !long })),
+      ...exits.map(exit => ({ type: exit.target === -1 ? 'exit' : 'partial', time: exit.time, price: exit.price, shares: exit.shares, sell: long })),
+    ].filter(order => order.shares > 0);
+  }
+
+  // Slippage per share for an order, with the volatility scale and volume share used.
+  // Without a matching candle the base slippage applies unscaled.
+  function slippagePerShare(order, model, market) {
+    const base = model.slippageMode === 'bps'
+      ? order.price * model.slippageBps / 10000
+      : model.slippageCents / 100;
+    const i = market ? market.byTime.get(+order.time) : undefined;
+    if (i === undefined) return { perShare: base, volatilityScale: 1, participation: 0 };
+
+    const candle = market.candles[i];
+    let volatilityScale = 1;
+    if (model.volatilityScaling && i > 0) {
+      const prior = market.candles.slice(Math.max(0, i - model.volatilityBars), i);
+      const avgRange = prior.reduce((s, c) => s + c.high - c.low, 0) / prior.length;
+      if (avgRange > 0) {
+        const cap = model.maxVolatilityScale;
+        volatilityScale = Math.min(cap, Math.max(1 / cap, (candle.high - candle.low) / avgRange));
+      }
+    }
+    const participation = candle.volume > 0 ? Math.min(1, order.shares / candle.volume) : 0;
+    const impact = order.price * model.impactBps / 10000 * Math.sqrt(participation);
+    return { perShare: base * volatilityScale + impact, volatilityScale, participation };
+  }
+
+  // Itemized costs of a closed trade. market: indexCandles() of the sessions it traded in
+  function tradeCosts(trade, model = {}, market = null) {
+    model = { ...DEFAULT_COST_MODEL, ...model };
+    const totals = { commission: 0, secFee: 0, tafFee: 0, slippage: 0 };
+
+    const fills = orders(trade).map(order => {
+      const value = order.shares * order.price;
+      let commission = Math.max(model.commissionMin, order.shares * model.commissionPerShare);
+      if (model.commissionMaxPercent > 0) commission = Math.min(commission, value * model.commissionMaxPercent / 100);
+      const secFee = order.sell ? value * model.secFeeRate / 1e6 : 0;
+      const tafFee = order.sell ? Math.min(model.tafMax, order.shares * model.tafPerShare) : 0;
+      const { perShare, volatilityScale, participation } = slippagePerShare(order, model, market);
+      const slippage = perShare * order.shares;
+
+      totals.commission += commission;
+      totals.secFee += secFee;
+      totals.tafFee += tafFee;
+      totals.slippage += slippage;
+      return {
+        type: order.type,
+        time: order.time,
+        side: order.sell ? 'SELL' : 'BUY',
+        shares: order.shares,
+        price: order.price,
+        commission: round(commission, 4),
+        secFee: round(secFee, 4),
+        tafFee: round(tafFee, 4),
+        slippage: round(slippage, 4),
+        volatilityScale: round(volatilityScale, 2),
+        participationPct: round(participation * 100, 3),
+      };
+    });
+
+    return {
+      ...totals,
+      total: totals.commission + totals.secFee + totals.tafFee + totals.slippage,
+      fills,
+    };
+  }
+
+  // Cost totals across closed trades (net of costs), and how much of the gross edge they take
+  function summarize(trades) {
+    const sum = key => trades.reduce((s, t) => s + (t[key] || 0), 0);
+    const grossPnL = sum('grossPnL');
+    const commission = sum('commission');
+    const fees = sum('secFee') + sum('tafFee');
+    const slippage = sum('slippage');
+    const borrowFee = sum('borrowFee');
+    const total = commission + fees + slippage + borrowFee;
+    // Shares traded across every order: the itemized fills, or the orders the trade was made of
+    const shares = trades.reduce((s, t) => s + (t.costFills || orders(t)).reduce((n, order) => n + order.shares, 0), 0);
+    return {
+      grossPnL: round(grossPnL),
+      commission: round(commission),
+      secFee: round(sum('secFee')),
+      tafFee: round(sum('tafFee')),
+      slippage: round(slippage),
+      borrowFee: round(borrowFee),
+      total: round(total),
+      netPnL: round(grossPnL - total),
+      perTrade: trades.length > 0 ? round(total / trades.length) : 0,
+      perShare: shares > 0 ? round(total / shares, 4) : 0,
+      percentOfGross: grossPnL > 0 ? round(total / grossPnL * 100) : null,
+    };
+  }
+
+  return {
+    DEFAULT_COST_MODEL,
+    indexCandles,
+    orders,
+    slippagePerShare,
+    tradeCosts,
+    summarize,
+  };
+})();
+
+if (typeof module !== 'undefined') module.exports = TransactionCosts;
@@ -0,0 +1,149 @@
+#!/usr/bin/env node
+
+// Runs the built-in decision strategies over hand-built sessions and checks their trades:
+//   node scripts/check-strategies.js
+
+const assert = require('assert');
+
+// The browser modules find each other as globals, in index.html's script order
+const MODULES = [
+  ['MarketData', 'market-data'],
+  ['ConfirmationFilters', 'confirmation-filters'],
+  ['RiskManager', 'risk-manager'],
+  ['ShortSale', 'short-sale'],
+  ['TransactionCosts', 'transaction-costs'],
+  ['Benchmark', 'benchmark'],
+  ['TradeAnalytics', 'trade-analytics'],
+  ['ORBStrategy', 'orb-strategy'],
+  ['Strategies', 'strategies'],
+];
+for (const [name, file] of MODULES) global[name] = require(`../js/${file}`);
+
+const SESSION_START = Date.UTC(2025, 0, 6, 14, 30);
+
+// One-minute candles walking through the given closes; each bar opens at the prior close
+function buildSession(open, closes, wick = 0.02) {
+  let prev = open;
+  return closes.map((close, i) => {
+    const candle = {
+      time: SESSION_START + i * 60000,
+      open: prev,
+      high: Math.max(prev, close) + wick,
+      low: Math.min(prev, close) - wick,
+      close,
+      volume: 10000,
+    };
+    prev = close;
+    return candle;
+  });
+}
+
+// Closes stepping evenly from `from` to `to` over `bars` bars
+function walk(from, to, bars) {
+  return Array.from({ length: bars }, (_, i) => from + (to - from) * (i + 1) / bars);
+}
+
+function vwapOf(candles) {
+  let pv = 0;
+  let volume = 0;
+  return candles.map(c => {
+    pv += (c.high + c.low + c.close) / 3 * c.volume;
+    volume += c.volume;
+    return pv / volume;
+  });
+}
+
+function run(name, candles, context = {}) {
+  return Strategies.runDay(name, candles, { maxLeverage: 0 }, 100000, vwapOf(candles), 0, { context });
+}
+
+const checks = [];
+function check(description, fn) {
+  checks.push({ description, fn });
+}
+
+check('vwap reversion: a spike above VWAP that turns down shorts into a winning exit at VWAP', () => {
+  // Flat at 100 while VWAP settles, a sharp run to 101.5, then a red bar and a drift back
+  const candles = buildSession(100, [...walk(100, 100, 40), ...walk(100, 101.5, 5), ...walk(101.4, 99.8, 30)]);
+  const { trades } = run('vwap_reversion', candles);
+  assert.strictEqual(trades.length, 1);
+  assert.strictEqual(trades[0].direction, 'SHORT');
+  assert.strictEqual(trades[0].exitReason, 'VWAP Reached');
+  assert.ok(trades[0].totalPnL > 0, `expected a winner, got ${trades[0].totalPnL}`);
+});
+
+check('vwap reversion: a flush below VWAP that turns up buys into a winning exit at VWAP', () => {
+  const candles = buildSession(100, [...walk(100, 100, 40), ...walk(100, 98.5, 5), ...walk(98.6, 100.2, 30)]);
+  const { trades } = run('vwap_reversion', candles);
+  assert.strictEqual(trades.length, 1);
+  assert.strictEqual(trades[0].direction, 'LONG');
+  assert.strictEqual(trades[0].exitReason, 'VWAP Reached');
+  assert.ok(trades[0].totalPnL > 0, `expected a winner, got ${trades[0].totalPnL}`);
+});
+
+check('first pullback: an opening trend, a pullback and a resumption make a winning long', () => {
+  // 1% up in the first 30 minutes, a pullback of about half the move, then the trend resumes
+  const candles = buildSession(100, [...walk(100, 101, 30), ...walk(101, 100.55, 6), ...walk(100.8, 102.5, 40)]);
+  const { trades } = run('first_pullback', candles);
+  assert.strictEqual(trades.length, 1);
+  assert.strictEqual(trades[0].direction, 'LONG');
+  assert.strictEqual(trades[0].exitReason, 'Target');
+  assert.ok(trades[0].totalPnL > 0, `expected a winner, got ${trades[0].totalPnL}`);
+});
+
+check('first pullback: an opening downtrend, a bounce and a resumption make a winning short', () => {
+  const candles = buildSession(100, [...walk(100, 99, 30), ...walk(99, 99.45, 6), ...walk(99.2, 97.5, 40)]);
+  const { trades } = run('first_pullback', candles);
+  assert.strictEqual(trades.length, 1);
+  assert.strictEqual(trades[0].direction, 'SHORT');
+  assert.strictEqual(trades[0].exitReason, 'Target');
+  assert.ok(trades[0].totalPnL > 0, `expected a winner, got ${trades[0].totalPnL}`);
+});
+
+check('gap fill: a gap up that fades through the open shorts into a winning target exit', () => {
+  // Opens 1% above a 100.00 close, holds for a few minutes, then drifts back to the prior close
+  const candles = buildSession(101, [...walk(101.2, 101.1, 6), ...walk(100.9, 99.8, 30), ...walk(99.8, 99.9, 30)]);
+  const { trades } = run('gap_fill', candles, { prevClose: 100 });
+  assert.strictEqual(trades.length, 1);
+  assert.strictEqual(trades[0].direction, 'SHORT');
+  assert.strictEqual(trades[0].exitReason, 'Target');
+  assert.ok(trades[0].totalPnL > 0, `expected a winner, got ${trades[0].totalPnL}`);
+});
+
+check('gap fill: no entry once price is already through the prior close', () => {
+  // Gaps up 0.5% and collapses straight through the prior close before the entry window opens
+  const candles = buildSession(100.5, [...walk(100.3, 99.5, 5), ...walk(99.4, 99.0, 60)]);
+  const { trades } = run('gap_fill', candles, { prevClose: 100 });
+  assert.strictEqual(trades.length, 0);
+});
+
+check('gap fill: a target exit is never a loss', () => {
+  // Gaps in both directions, each fading through the open and past the prior close, slowly or in one bar
+  for (const gap of [0.3, 0.5, 1, 1.5, -0.3, -0.5, -1, -1.5]) {
+    for (const overshoot of [0, 0.2, 0.6]) {
+      for (const fadeBars of [1, 3, 40]) {
+        const prevClose = 100;
+        const open = prevClose * (1 + gap / 100);
+        const beyond = prevClose - Math.sign(gap) * overshoot;
+        const candles = buildSession(open, [...walk(open, open + gap / 10, 6), ...walk(open, beyond, fadeBars), ...walk(beyond, open, 30)]);
+        for (const trade of run('gap_fill', candles, { prevClose }).trades) {
+          if (trade.exitReason !== 'Target') continue;
+          assert.ok(trade.totalPnL >= 0, `gap ${gap}%: target exit lost ${trade.totalPnL} (entry ${trade.entryPrice}, target ${trade.target})`);
+        }
+      }
+    }
+  }
+});
+
+let failed = 0;
+for (const { description, fn } of checks) {
+  try {
+    fn();
+    console.log(`ok   ${description}`);
+  } catch (error) {
+    failed++;
+    console.log(`FAIL ${description}\n     ${error.message}`);
+  }
+}
+console.log(`${checks.length - failed}/${checks.length} checks passed`);
+if (failed) process.exit(1);
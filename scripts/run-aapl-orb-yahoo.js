@@ -1,6 +1,8 @@
 #!/usr/bin/env node
 
+const fs = require('fs');
 const ORBStrategy = require('../js/orb-strategy');
+const StrategyConfig = require('../js/strategy-config');
 
 const YAHOO_URL = 'https://query1.finance.yahoo.com/v8/finance/chart/AAPL?range=5d&interval=1m&includePrePost=false&events=div%2Csplits';
 
@@ -89,10 +91,11 @@ async function fetchYahooCandles() {
     throw new Error('No complete regular-session AAPL day found in Yahoo data window.');
   }
 
+  for (const [, dayCandles] of completeDays) dayCandles.sort((a, b) => a.time - b.time);
   const [day, candles] = completeDays[completeDays.length - 1];
-  candles.sort((a, b) => a.time - b.time);
+  const priorSessions = completeDays.slice(0, -1).map(([, dayCandles]) => dayCandles);
 
-  return { day, candles };
+  return { day, candles, priorSessions };
 }
 
 function summarizeTrades(result) {
@@ -105,25 +108,46 @@ function summarizeTrades(result) {
   }).join('\n');
 }
 
+// --preset <name> uses a built-in preset, --preset <file.json> one exported from the Strategy tab
+function loadConfig(argv) {
+  const index = argv.indexOf('--preset');
+  if (index === -1) {
+    return {
+      openingRangeMinutes: 15,
+      confirmationType: 'close',
+      volumeConfirmation: false,
+      vwapConfirmation: false,
+      sentimentConfirmation: false,
+      minConfirmations: 0,
+      maxTradesPerDay: 2,
+    };
+  }
+
+  const preset = argv[index + 1] || '';
+  if (!preset.endsWith('.json')) return StrategyConfig.getPreset(preset).config;
+
+  const imported = StrategyConfig.importPreset(fs.readFileSync(preset, 'utf8'));
+  if (!imported.valid) {
+    throw new Error(`Invalid preset ${preset}:\n  ${imported.errors.map(e => e.message).join('\n  ')}`);
+  }
+  return imported.config;
+}
+
 async function main() {
-  const { day, candles } = await fetchYahooCandles();
+  const config = loadConfig(process.argv.slice(2));
+  const { valid, errors } = StrategyConfig.validateConfig(config);
+  if (!valid) throw new Error(`Invalid strategy config:\n  ${errors.map(e => e.message).join('\n  ')}`);
 
-  const config = {
-    openingRangeMinutes: 15,
-    confirmationType: 'close',
-    volumeConfirmation: false,
-    vwapConfirmation: false,
-    sentimentConfirmation: false,
-    minConfirmations: 0,
-    maxTradesPerDay: 2,
-  };
+  const { day, candles, priorSessions } = await fetchYahooCandles();
 
-  const simulation = ORBStrategy.runDay(candles, config, 100000, null, 0);
+  // Prior sessions in the 5-day window feed the daily ATR
+  const simulation = ORBStrategy.runDay(candles, config, 100000, null, 0, { context: { priorSessions } });
 
   console.log('AAPL ORB one-time simulation (Yahoo Finance 1m data)');
   console.log(`Date (America/New_York): ${day}`);
   console.log(`Candles used: ${candles.length}`);
   console.log(`Opening Range: High ${simulation.openingRange?.high} | Low ${simulation.openingRange?.low} | Size ${simulation.openingRange?.rangeSize}`);
+  console.log(`Daily ATR (${priorSessions.length} prior days): ${simulation.volatility?.dailyAtr ?? 'n/a'} | Range/ATR ${simulation.volatility?.rangeAtrRatio ?? 'n/a'}`);
   console.log(`Trades: ${simulation.summary.totalTrades} | Winners: ${simulation.summary.winners} | Losers: ${simulation.summary.losers} | Total PnL: ${simulation.summary.totalPnL}`);
   console.log('Trade details:');
   console.log(summarizeTrades(simulation));
@@ -0,0 +1,43 @@
+#!/usr/bin/env node
+
+// Runs every built-in strategy on the app's synthetic data, as Compare Strategies does:
+//   node scripts/run-strategy-comparison.js [TICKER] [DAYS]
+
+// The browser modules find each other as globals, in index.html's script order
+const MODULES = [
+  ['MarketData', 'market-data'],
+  ['ConfirmationFilters', 'confirmation-filters'],
+  ['RiskManager', 'risk-manager'],
+  ['ShortSale', 'short-sale'],
+  ['TransactionCosts', 'transaction-costs'],
+  ['Benchmark', 'benchmark'],
+  ['TradeAnalytics', 'trade-analytics'],
+  ['ORBStrategy', 'orb-strategy'],
+  ['Strategies', 'strategies'],
+  ['OptionsModel', 'options-model'],
+  ['Backtester', 'backtester'],
+  ['SentimentAnalysis', 'sentiment'],
+];
+for (const [name, file] of MODULES) global[name] = require(`../js/${file}`);
+
+function main() {
+  const [ticker = 'AAPL', days = '60'] = process.argv.slice(2);
+  if (!MarketData.STOCK_PROFILES[ticker]) {
+    throw new Error(`Unknown ticker ${ticker} (available: ${Object.keys(MarketData.STOCK_PROFILES).join(', ')})`);
+  }
+
+  const config = { ...Backtester.DEFAULT_BACKTEST_CONFIG, ticker, numDays: parseInt(days, 10) };
+  const comparison = Backtester.compareStrategies(config);
+
+  console.log(`Strategy comparison: ${ticker}, ${config.numDays} days from ${config.startDate} (synthetic data)`);
+  for (const { label, metrics } of comparison) {
+    console.log(`${label.padEnd(24)} | Trades ${String(metrics.totalTrades).padStart(4)} | Win rate ${metrics.winRate}% | PnL ${metrics.totalPnL} | Profit factor ${metrics.profitFactor} | Sharpe ${metrics.sharpeRatio}`);
+  }
+}
+
+try {
+  main();
+} catch (error) {
+  console.error('Failed to run strategy comparison:', error.message);
+  process.exit(1);
+}
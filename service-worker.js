@@ -1,11 +1,25 @@
-const CACHE_NAME = 'orb-trading-cache-v3';
+const CACHE_NAME = 'orb-trading-cache-v16';
 const URLS_TO_CACHE = [
   '/',
   '/index.html',
   '/manifest.webmanifest',
   '/js/market-data.js',
+  '/js/confirmation-filters.js',
+  '/js/risk-manager.js',
+  '/js/short-sale.js',
+  '/js/transaction-costs.js',
+  '/js/benchmark.js',
+  '/js/trade-analytics.js',
   '/js/orb-strategy.js',
+  '/js/strategy-config.js',
+  '/js/strategies.js',
+  '/js/options-model.js',
   '/js/backtester.js',
+  '/js/optimizer.js',
+  '/js/backtest-runner.js',
+  '/js/backtest-worker.js',
+  '/js/portfolio.js',
+  '/js/significance.js',
   '/js/sentiment.js'
 ];
 